@@ -1,5 +1,7 @@
 // Background Service Worker for NewBook Assistant
 
+importScripts('shared/message-bus.js', 'shared/newbook-hosts.js', 'shared/managed-settings.js', 'shared/profiles.js', 'shared/credentials.js');
+
 // State
 let settings = null;
 
@@ -26,11 +28,11 @@ const BMA_LOG = {
   }
 };
 
-// Load settings on startup
+// Load settings on startup (defaults, saved settings and policy values merged, with this device's passwords)
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get('settings');
-    settings = result.settings || null;
+    settings = await Credentials.apply((await ManagedSettings.load()).settings);
+    MessageBus.setTrace(settings?.enableDebugLogging);
     return settings;
   } catch (error) {
     BMA_LOG.error('Error loading settings:', error);
@@ -38,10 +40,24 @@ async function loadSettings() {
   }
 }
 
+// Passwords saved by earlier versions are moved out of sync storage (shared/credentials.js)
+async function migrateCredentials() {
+  try {
+    if (await Credentials.migrate()) {
+      BMA_LOG.log('Moved application passwords from sync storage to this device');
+    }
+  } catch (error) {
+    BMA_LOG.error('Error moving application passwords:', error);
+  }
+}
+
 // Initialize on install/update
 chrome.runtime.onInstalled.addListener(async () => {
   BMA_LOG.log('NewBook Assistant installed/updated');
+  await migrateCredentials();
   await loadSettings();
+  await scheduleSummaryPolling();
+  await registerHostContentScripts();
 
   // Set up panel behavior for specific origin
   try {
@@ -55,10 +71,167 @@ chrome.runtime.onInstalled.addListener(async () => {
   }
 });
 
+// Alarms aren't guaranteed to survive a browser restart
+chrome.runtime.onStartup.addListener(async () => {
+  await migrateCredentials();
+  await loadSettings();
+  scheduleSummaryPolling();
+  registerHostContentScripts();
+});
+
+// ============================================================================
+// NEWBOOK HOSTS
+// The manifest covers the default NewBook sites (shared/newbook-hosts.js). Other regions
+// and custom domains are added in settings; the settings page asks for access to them,
+// and their content script is registered here once access has been granted.
+// ============================================================================
+
+const HOST_CONTENT_SCRIPT_ID = 'newbook-extra-hosts';
+const HOST_HISTORY_HOOK_ID = 'newbook-extra-hosts-history'; // page-history-hook.js, in the page's world
+
+// One save fires permissions.onAdded, permissions.onRemoved and settingsUpdated - each
+// registration waits for the one before, so they can't interleave
+let hostScriptRegistration = Promise.resolve();
+
+/**
+ * Register the content script on configured hosts beyond the manifest defaults
+ * Hosts without a granted permission are skipped (and logged) until access is given
+ * @returns {Promise<void>} Resolves once this registration (and any queued before it) is done
+ */
+function registerHostContentScripts() {
+  hostScriptRegistration = hostScriptRegistration.then(() => updateHostContentScripts());
+  return hostScriptRegistration;
+}
+
+async function updateHostContentScripts() {
+  try {
+    // Saved settings, not the ones in memory - permission events arrive before settingsUpdated
+    const { settings: saved } = await ManagedSettings.load();
+
+    const ids = [HOST_CONTENT_SCRIPT_ID, HOST_HISTORY_HOOK_ID];
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids });
+    if (existing.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: existing.map(script => script.id) });
+    }
+
+    const granted = [];
+    for (const host of NewBookHosts.extra(saved)) {
+      const origins = NewBookHosts.matchPatterns([host]);
+      if (await chrome.permissions.contains({ origins })) {
+        granted.push(host);
+      } else {
+        BMA_LOG.warn('No permission for NewBook host, content script not registered:', host);
+      }
+    }
+
+    if (granted.length === 0) return;
+
+    await chrome.scripting.registerContentScripts([{
+      id: HOST_CONTENT_SCRIPT_ID,
+      matches: NewBookHosts.matchPatterns(granted),
+      js: ['shared/message-bus.js', 'shared/newbook-hosts.js', 'shared/managed-settings.js', 'shared/booking-detectors.js', 'content-script.js'],
+      runAt: 'document_idle'
+    }, {
+      id: HOST_HISTORY_HOOK_ID,
+      matches: NewBookHosts.matchPatterns(granted),
+      js: ['page-history-hook.js'],
+      runAt: 'document_start',
+      world: 'MAIN'
+    }]);
+    BMA_LOG.log('Content script registered for NewBook hosts:', granted);
+  } catch (error) {
+    BMA_LOG.error('Error registering NewBook host content scripts:', error);
+  }
+}
+
+// Access granted or revoked (settings page, or chrome://extensions)
+chrome.permissions.onAdded.addListener(() => registerHostContentScripts());
+chrome.permissions.onRemoved.addListener(() => registerHostContentScripts());
+
+// ============================================================================
+// PER-WINDOW BOOKING CONTEXT
+// Each browser window has its own sidepanel and its own current booking, so two NewBook
+// windows (e.g. planner on one monitor, bookings on another) don't fight over one booking.
+// Each window also has its own property profile, picked from the hotel its NewBook tab shows.
+// Stored in session storage because window IDs don't survive a browser restart.
+// ============================================================================
+
+/**
+ * Storage key for a window's current booking (shared with the sidepanel)
+ * @param {number} windowId - Window ID
+ * @returns {string}
+ */
+function windowBookingKey(windowId) {
+  return `windowBooking_${windowId}`;
+}
+
+/**
+ * Remember the booking a window is showing, for its sidepanel to pick up when opened
+ * @param {number} windowId - Window ID
+ * @param {string} bookingId - NewBook booking ID
+ */
+async function saveWindowBooking(windowId, bookingId) {
+  if (windowId === undefined || windowId === null) return;
+  await chrome.storage.session.set({ [windowBookingKey(windowId)]: String(bookingId) });
+}
+
+/**
+ * Storage keys for a window's profile (shared with the sidepanel, which also writes the
+ * first when switched by hand) and for the profile last detected from its tabs
+ * @param {number} windowId - Window ID
+ * @returns {{active: string, detected: string}}
+ */
+function windowProfileKeys(windowId) {
+  return { active: `windowProfile_${windowId}`, detected: `windowDetectedProfile_${windowId}` };
+}
+
+// Storage key for the sidepanel tab a window's panel should show when it opens (read once)
+function windowPanelTabKey(windowId) {
+  return `windowPanelTab_${windowId}`;
+}
+
+/**
+ * Profile for a NewBook tab: the one its site/title points at, else its window's current one
+ * @param {chrome.tabs.Tab} tab - Tab (url, title, windowId)
+ * @returns {Promise<string>} Profile ID
+ */
+async function profileForTab(tab) {
+  const matched = Profiles.match(settings, tab);
+  if (matched) return matched;
+
+  const { active } = windowProfileKeys(tab.windowId);
+  const result = await chrome.storage.session.get(active);
+  return Profiles.get(settings, result[active]).id;
+}
+
+/**
+ * Switch a window's sidepanel to the profile detected in its active tab
+ * Only a change in what's detected switches it, so a profile picked by hand in the panel
+ * stays until the window moves to another hotel's NewBook
+ * @param {number} windowId - Window ID
+ * @param {string|null} profileId - Detected profile, or null if the tab doesn't point at one
+ */
+async function applyDetectedProfile(windowId, profileId) {
+  if (!profileId || windowId === undefined || windowId === null) return;
+
+  const keys = windowProfileKeys(windowId);
+  const result = await chrome.storage.session.get(keys.detected);
+  if (result[keys.detected] === profileId) return;
+
+  await chrome.storage.session.set({ [keys.detected]: profileId, [keys.active]: profileId });
+  BMA_LOG.log('Window', windowId, 'switched to profile', profileId);
+  await MessageBus.send('profileDetected', { profileId }, { windowId });
+}
+
+chrome.windows.onRemoved.addListener((windowId) => {
+  const keys = windowProfileKeys(windowId);
+  chrome.storage.session.remove([windowBookingKey(windowId), windowPanelTabKey(windowId), keys.active, keys.detected]);
+});
+
 // Tab Update Listener - Enable/Disable Sidepanel
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url) {
-    await handleTabUpdate(tabId, tab.url);
+    await handleTabUpdate(tab);
   }
 });
 
@@ -66,23 +239,35 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   const tab = await chrome.tabs.get(activeInfo.tabId);
   if (tab.url) {
-    await handleTabUpdate(activeInfo.tabId, tab.url);
+    await handleTabUpdate(tab);
   }
 });
 
 // History State Updated (SPA navigation detection)
 chrome.webNavigation.onHistoryStateUpdated.addListener(async (details) => {
-  await handleTabUpdate(details.tabId, details.url);
+  try {
+    const tab = await chrome.tabs.get(details.tabId);
+    await handleTabUpdate({ ...tab, url: details.url });
+  } catch (error) {
+    // Tab closed before we got to it
+  }
 });
 
-// Handle Tab Updates
-async function handleTabUpdate(tabId, url) {
+/**
+ * Enable/disable the sidepanel for a tab and pass on any booking it shows
+ * Only the tab's own window is affected, and only while the tab is the active one there
+ * @param {chrome.tabs.Tab} tab - Tab that changed (id, url, windowId, active)
+ */
+async function handleTabUpdate(tab) {
+  const tabId = tab.id;
+  const url = tab.url;
+
   // Ensure settings are loaded
   if (!settings) {
     await loadSettings();
   }
 
-  const isNewBookDomain = url.includes('appeu.newbook.cloud') || url.includes('login.newbook.cloud');
+  const isNewBookDomain = NewBookHosts.isNewBookUrl(url, settings);
 
   try {
     if (isNewBookDomain && settings?.enableSidebarOnNewBook !== false) {
@@ -93,33 +278,27 @@ async function handleTabUpdate(tabId, url) {
         enabled: true
       });
 
-      // Show badge to indicate sidepanel is available
-      await chrome.action.setBadgeText({ tabId, text: '●' });
-      await chrome.action.setBadgeBackgroundColor({ tabId, color: '#3b82f6' });
-      await chrome.action.setTitle({
-        tabId,
-        title: 'Click to open NewBook Assistant'
-      });
-
       // Detect if it's a booking page
       const bookingIdMatch = url.match(/\/bookings_(?:view|checkin)\/(\d+)/i);
-      if (bookingIdMatch) {
+
+      // Hotel this tab belongs to - the window's panel follows it before any booking is sent
+      const profileId = await profileForTab(tab);
+      if (tab.active) {
+        await applyDetectedProfile(tab.windowId, Profiles.match(settings, tab));
+      }
+
+      // Issue counts for this booking (or the Summary) on the toolbar icon
+      updateActionBadge(tabId, profileId, bookingIdMatch ? bookingIdMatch[1] : null);
+
+      // Background tabs loading a booking don't change what the window's panel shows
+      if (bookingIdMatch && tab.active) {
         const bookingId = bookingIdMatch[1];
 
-        // Store current booking ID
-        await chrome.storage.local.set({ currentBookingId: bookingId });
-
-        // Notify sidepanel
-        try {
-          await chrome.runtime.sendMessage({
-            action: 'bookingDetected',
-            bookingId: bookingId,
-            url: url
-          });
-        } catch (error) {
-          // Sidepanel might not be open, that's okay
-          BMA_LOG.log('Sidepanel not open, booking ID stored for later');
-        }
+        // Store current booking ID for this window (read when its panel opens)
+        await saveWindowBooking(tab.windowId, bookingId);
+
+        // Notify this window's sidepanel
+        MessageBus.send('bookingDetected', { bookingId: bookingId, url: url }, { windowId: tab.windowId });
       }
     } else {
       // Disable sidepanel for non-NewBook tabs
@@ -128,11 +307,10 @@ async function handleTabUpdate(tabId, url) {
         enabled: false
       });
 
-      // Try to close the sidepanel window if we're switching away from NewBook
+      // Close this window's sidepanel if its visible tab has left NewBook
       try {
-        const windows = await chrome.windows.getAll();
-        for (const window of windows) {
-          await chrome.sidePanel.close({ windowId: window.id });
+        if (tab.active) {
+          await chrome.sidePanel.close({ windowId: tab.windowId });
         }
       } catch (error) {
         // Sidepanel may not be open, that's fine
@@ -140,6 +318,7 @@ async function handleTabUpdate(tabId, url) {
       }
 
       // Clear badge
+      delete badgeTargets[tabId];
       await chrome.action.setBadgeText({ tabId, text: '' });
       await chrome.action.setTitle({
         tabId,
@@ -164,66 +343,1006 @@ chrome.action.onClicked.addListener(async (tab) => {
   }
 });
 
-// Message Listener
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'settingsUpdated') {
-    // Settings were updated, reload them
-    settings = message.settings;
-    BMA_LOG.log('Settings updated:', settings);
-
-    // Update all NewBook tabs
-    chrome.tabs.query({ url: 'https://appeu.newbook.cloud/*' }, (tabs) => {
-      tabs.forEach(tab => {
-        handleTabUpdate(tab.id, tab.url);
+// Keyboard shortcuts (chrome.commands, see manifest "commands")
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  BMA_LOG.log('Keyboard command:', command);
+
+  if (command === 'open-sidepanel') {
+    // Commands count as a user gesture, so the panel can be opened here
+    try {
+      await chrome.sidePanel.open({ tabId: tab.id });
+      BMA_LOG.log('Sidepanel opened via keyboard shortcut');
+    } catch (error) {
+      BMA_LOG.error('Failed to open sidepanel:', error);
+    }
+    return;
+  }
+
+  // Everything else acts on the sidepanel in the window the shortcut was pressed in
+  MessageBus.send('panelCommand', { command: command }, { windowId: tab?.windowId });
+});
+
+// ============================================================================
+// BACKGROUND API REQUESTS
+// ============================================================================
+
+const BACKGROUND_REQUEST_TIMEOUT = 30000;
+const BACKGROUND_RETRY_BASE_DELAY = 500; // Doubled after each retry
+
+/**
+ * Request the Booking Match API from the service worker
+ * Errors carry `status` (HTTP status or 0) and `code` ('config', 'http', 'timeout', 'network')
+ * so the sidepanel can rebuild an APIError from them
+ * @param {string} endpoint - Path relative to the API root, e.g. '/summary'
+ * @param {Object} options - { method, params, body, retries, profileId: whose API to call }
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} When not configured, on HTTP errors or on timeout
+ */
+async function apiRequest(endpoint, { method = 'GET', params = null, body = null, retries = 0, profileId = null } = {}) {
+  if (!settings) {
+    await loadSettings();
+  }
+  const profile = Profiles.get(settings, profileId);
+  if (!Profiles.isConfigured(profile)) {
+    throw Object.assign(new Error('Please configure API settings first'), { status: 0, code: 'config' });
+  }
+  if ((await Credentials.pausedProfiles()).includes(profile.id)) {
+    throw Object.assign(new Error('Sign in again to continue - the API rejected the saved password'), { status: 401, code: 'http' });
+  }
+
+  let url = `${profile.apiRootUrl}${endpoint}`;
+  if (params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        query.set(key, value);
+      }
+    });
+    url += `?${query}`;
+  }
+
+  let tokenRenewed = false;
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const options = {
+        method: method,
+        headers: {
+          'Authorization': await Credentials.authorization(profile),
+          'Content-Type': 'application/json'
+        },
+        signal: AbortSignal.timeout(BACKGROUND_REQUEST_TIMEOUT)
+      };
+      if (body) {
+        options.body = JSON.stringify(body);
+      }
+
+      const response = await fetch(url, options);
+      const data = await response.json().catch(() => null);
+      if (response.ok && data !== null) {
+        return data;
+      }
+      error = Object.assign(new Error((data && data.message) || `${method} ${endpoint} failed with status ${response.status}`), {
+        status: response.status,
+        code: response.ok ? 'invalid-response' : 'http',
+        apiMessage: (data && data.message) || null
       });
+    } catch (fetchError) {
+      if (fetchError.status !== undefined) {
+        error = fetchError; // Token request failed (already shaped by Credentials)
+      } else {
+        const timedOut = fetchError.name === 'TimeoutError';
+        error = Object.assign(new Error(timedOut
+          ? `Request timed out after ${BACKGROUND_REQUEST_TIMEOUT / 1000} seconds`
+          : 'Cannot reach the Booking Match API. Check your network connection.'), {
+          status: 0,
+          code: timedOut ? 'timeout' : 'network'
+        });
+      }
+    }
+
+    // Expired or revoked token - fetch a new one and try once more
+    if (error.status === 401 && profile.authMode === 'token' && !tokenRenewed) {
+      tokenRenewed = true;
+      attempt--;
+      await Credentials.forgetToken(profile.id);
+      continue;
+    }
+
+    const retryable = error.code === 'network' || error.code === 'timeout' || (error.code === 'http' && error.status >= 500);
+    if (!retryable || attempt >= retries) {
+      if (error.status === 401) {
+        await pauseForSignIn(profile.id);
+      }
+      throw error;
+    }
+    const delay = BACKGROUND_RETRY_BASE_DELAY * Math.pow(2, attempt);
+    BMA_LOG.warn(`API ${method} ${endpoint} failed (${error.message}), retrying in ${delay}ms...`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+// ============================================================================
+// SIGN-IN REQUIRED
+// A 401 means the saved password (or token sign-in) no longer works, e.g. the application
+// password was revoked. The profile's requests stop (Credentials.pause) until new credentials are
+// saved, so polling doesn't keep sending a dead password, and sidepanels are told so they can
+// ask for it again.
+// ============================================================================
+
+async function pauseForSignIn(profileId) {
+  if (!await Credentials.pause(profileId)) return;
+
+  BMA_LOG.warn(`API rejected the credentials of profile ${profileId} - requests paused until they're entered again`);
+  MessageBus.send('authRequired', { profileId });
+}
+
+// ============================================================================
+// DATA STORE
+// The service worker owns the summary, staying and per-booking (restaurant/checks) results.
+// Sidepanels connect on the 'bma-store' port, ask for entries and are sent every update, so
+// all windows share one poller and a newly opened panel gets data already in memory.
+// Every entry's params include its property profile, so hotels never share entries.
+// ============================================================================
+
+const STORE_PORT_NAME = 'bma-store';
+const STORE_REQUEST_RETRIES = 2;
+const STORE_SHARE_WINDOW = 30 * 1000; // Requests this soon after a fetch are answered from memory
+const STORE_ENTRY_LIFETIME = 30 * 60 * 1000; // Entries unused for this long are dropped
+
+// How each kind of entry is fetched (params are also the entry's identity)
+const STORE_SOURCES = {
+  summary: (params, force) => apiRequest('/summary', {
+    params: { context: 'chrome-summary', limit: params.limit, force_refresh: force },
+    retries: STORE_REQUEST_RETRIES,
+    profileId: params.profile
+  }),
+  staying: (params, force) => apiRequest('/staying', {
+    params: { date: params.date, force_refresh: force },
+    retries: STORE_REQUEST_RETRIES,
+    profileId: params.profile
+  }),
+  restaurant: (params, force) => apiRequest('/bookings/match', {
+    method: 'POST',
+    body: { booking_id: parseInt(params.booking_id), context: 'chrome-sidepanel', force_refresh: force },
+    retries: STORE_REQUEST_RETRIES,
+    profileId: params.profile
+  }),
+  checks: (params, force) => apiRequest(`/checks/${params.booking_id}`, {
+    params: { context: 'chrome-checks', force_refresh: force },
+    retries: STORE_REQUEST_RETRIES,
+    profileId: params.profile
+  }),
+  preview: (params, force) => apiRequest(`/bookings/${params.booking_id}/preview`, {
+    params: { context: 'chrome-preview', force_refresh: force },
+    retries: STORE_REQUEST_RETRIES,
+    profileId: params.profile
+  })
+};
+
+const DataStore = {
+  entries: new Map(), // Store key -> { key, params, data, updatedAt }
+  pending: new Map(), // Store key -> Promise of the in-flight fetch
+  ports: new Set(),
+
+  storeKey(key, params) {
+    const sorted = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+    return `${key}?${sorted}`;
+  },
+
+  /**
+   * Get an entry, fetching it if missing or older than maxAge
+   * @param {string} key - 'summary', 'staying', 'restaurant', 'checks' or 'preview'
+   * @param {Object} params - Entry parameters (limit, date or booking_id)
+   * @param {Object} options - { force: bypass memory and the server cache, maxAge: ms }
+   * @returns {Promise<Object>} Entry { key, params, data, updatedAt }
+   */
+  async get(key, params, { force = false, maxAge = STORE_SHARE_WINDOW } = {}) {
+    const entry = this.entries.get(this.storeKey(key, params));
+    if (!force && entry && Date.now() - entry.updatedAt < maxAge) {
+      return entry;
+    }
+    return this.refresh(key, params, force);
+  },
+
+  /**
+   * Fetch an entry and send it to every connected sidepanel
+   * Concurrent refreshes of the same entry share one request (unless forced)
+   * @param {string} key - Entry kind
+   * @param {Object} params - Entry parameters
+   * @param {boolean} force - Ask the server to bypass its cache
+   * @returns {Promise<Object>} Entry
+   */
+  refresh(key, params, force = false) {
+    const id = this.storeKey(key, params);
+    if (!force && this.pending.has(id)) {
+      return this.pending.get(id);
+    }
+
+    const promise = STORE_SOURCES[key](params, force).then(data => {
+      const entry = { key, params, data, updatedAt: Date.now() };
+      this.entries.set(id, entry);
+      this.broadcast(id, entry);
+      return entry;
+    }).finally(() => {
+      if (this.pending.get(id) === promise) {
+        this.pending.delete(id);
+      }
     });
 
-    // Forward to sidepanel if open
-    chrome.runtime.sendMessage(message).catch(() => {
-      // Sidepanel might not be open
+    this.pending.set(id, promise);
+    return promise;
+  },
+
+  // Send an update to every panel except those waiting on this entry (they get it as their result)
+  broadcast(id, entry) {
+    this.ports.forEach(port => {
+      if (port.awaiting.has(id)) return;
+      try {
+        port.postMessage({ type: 'update', entry });
+      } catch (error) {
+        this.ports.delete(port);
+      }
     });
-  } else if (message.action === 'bookingDetected') {
-    // Forward booking detection to sidepanel (from popup/content script)
-    BMA_LOG.log('Forwarding bookingDetected from content script:', message.bookingId, 'source:', message.source);
-    chrome.runtime.sendMessage(message).catch(() => {
-      // Sidepanel might not be open
+  },
+
+  // Drop entries nothing has asked for recently
+  prune() {
+    const cutoff = Date.now() - STORE_ENTRY_LIFETIME;
+    this.entries.forEach((entry, id) => {
+      if (entry.updatedAt < cutoff) {
+        this.entries.delete(id);
+      }
     });
-  } else if (message.action === 'plannerClick') {
-    // Forward planner click to sidepanel
-    BMA_LOG.log('Forwarding plannerClick from content script:', message.bookingId);
-    chrome.runtime.sendMessage(message).catch(() => {
-      // Sidepanel might not be open
+  },
+
+  clear() {
+    this.entries.clear();
+  },
+
+  /**
+   * Attach a sidepanel port
+   * Panels send { type: 'get', id, key, params (including profile), force } and receive { type: 'result', id, entry }
+   * or { type: 'error', id, error: { message, status, code } }, plus { type: 'update', entry }
+   * whenever another panel or the background poll refreshes an entry
+   * @param {chrome.runtime.Port} port
+   */
+  connect(port) {
+    port.awaiting = new Set();
+    this.ports.add(port);
+    BMA_LOG.log(`Sidepanel connected to store (${this.ports.size} connected)`);
+
+    port.onMessage.addListener(async (message) => {
+      if (message.type !== 'get' || !STORE_SOURCES[message.key]) return;
+
+      const id = this.storeKey(message.key, message.params);
+      port.awaiting.add(id);
+      let reply;
+      try {
+        const entry = await this.get(message.key, message.params, { force: !!message.force });
+        reply = { type: 'result', id: message.id, entry };
+      } catch (error) {
+        reply = {
+          type: 'error',
+          id: message.id,
+          // HTTP errors without an API message are described by the sidepanel from the status
+          error: { message: error.code === 'http' ? error.apiMessage : error.message, status: error.status || 0, code: error.code || 'network' }
+        };
+      } finally {
+        port.awaiting.delete(id);
+      }
+
+      try {
+        port.postMessage(reply);
+      } catch (error) {
+        // Panel closed while the request was in flight
+      }
     });
-  } else if (message.action === 'sessionLockChanged') {
-    // Forward session lock status to sidepanel
-    BMA_LOG.log('Session lock status changed:', message.isLocked ? 'LOCKED' : 'UNLOCKED');
-    chrome.runtime.sendMessage(message).catch(() => {
-      // Sidepanel might not be open
+
+    port.onDisconnect.addListener(() => {
+      this.ports.delete(port);
     });
-  } else if (message.action === 'openSidePanel' && sender.tab?.id) {
-    // Open sidepanel for specific tab (has user gesture from content script)
-    chrome.sidePanel.open({ tabId: sender.tab.id })
-      .then(() => {
-        BMA_LOG.log('Sidepanel opened for tab:', sender.tab.id);
-        // Notify content script that sidepanel was opened
-        chrome.tabs.sendMessage(sender.tab.id, { action: 'sidepanelOpened' }).catch(() => {});
-      })
-      .catch((error) => {
-        BMA_LOG.error('Failed to open sidepanel:', error);
-      });
-  } else if (message.action === 'sidepanelClosed') {
-    // Sidepanel was closed, notify content script to show button
-    BMA_LOG.log('Sidepanel closed, notifying content script');
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, { action: 'showOpenButton' }).catch(() => {});
+  }
+};
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === STORE_PORT_NAME) {
+    DataStore.connect(port);
+    NewBookAuth.connect(port);
+  }
+});
+
+// Parameters shared with the sidepanel so both use the same store entries
+function summaryStoreParams(profileId) {
+  return { profile: profileId, limit: settings?.recentBookingsCount || 10 };
+}
+
+function todayStoreParams(profileId) {
+  return { profile: profileId, date: new Date().toISOString().split('T')[0] };
+}
+
+// ============================================================================
+// NEWBOOK SIGN-IN
+// Whether there's a NewBook session cookie on any configured host. Checked here rather than
+// in each panel so cookie changes are followed with every panel closed. Sent over the store
+// port as { type: 'auth', isAuthenticated } when a panel connects and whenever it changes;
+// panels send { type: 'checkAuth', id } for "Check Again" and get the answer with that id.
+// ============================================================================
+
+const NEWBOOK_AUTH_CHECK_DELAY = 1000; // Cookie changes come in bursts - check once they settle
+
+const NewBookAuth = {
+  isAuthenticated: null, // Unknown until checked since the worker started
+  checkTimeout: null,
+
+  // Check if NewBook session is active by checking cookies
+  async check() {
+    if (!settings) {
+      await loadSettings();
+    }
+
+    try {
+      // Check cookies from every configured NewBook host (app and login sites)
+      let allCookies = [];
+      for (const url of NewBookHosts.list(settings)) {
+        const cookies = await chrome.cookies.getAll({ url });
+        allCookies = allCookies.concat(cookies);
       }
+
+      // NewBook typically uses PHPSESSID or similar
+      const sessionCookie = allCookies.find(cookie =>
+        cookie.name === 'PHPSESSID' ||
+        cookie.name.toLowerCase().includes('session') ||
+        cookie.name.toLowerCase().includes('newbook')
+      );
+
+      // Session cookies without expiration are valid until browser closes
+      return !!sessionCookie && !(sessionCookie.expirationDate && sessionCookie.expirationDate * 1000 < Date.now());
+    } catch (error) {
+      BMA_LOG.error('Error checking NewBook auth:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Check again and tell every panel if the result changed
+   * @returns {Promise<boolean>} True if there's a NewBook session
+   */
+  async update() {
+    const isAuthenticated = await this.check();
+    if (isAuthenticated !== this.isAuthenticated) {
+      BMA_LOG.log('NewBook authentication status:', isAuthenticated ? 'Authenticated' : 'Not authenticated');
+      this.isAuthenticated = isAuthenticated;
+      DataStore.ports.forEach(port => this.send(port));
+    }
+    return isAuthenticated;
+  },
+
+  send(port, id) {
+    try {
+      port.postMessage({ type: 'auth', id, isAuthenticated: this.isAuthenticated });
+    } catch (error) {
+      // Panel closed
+    }
+  },
+
+  // New panel: send the current state (checked first if not known yet) and answer its checks
+  async connect(port) {
+    port.onMessage.addListener(async (message) => {
+      if (message.type !== 'checkAuth') return;
+      await this.update();
+      this.send(port, message.id);
+    });
+
+    if (this.isAuthenticated === null) {
+      await this.update(); // Sent to every panel, this one included
+    } else {
+      this.send(port);
+    }
+  }
+};
+
+chrome.cookies.onChanged.addListener(async (changeInfo) => {
+  // The worker may have just been woken by the change
+  if (!settings) {
+    await loadSettings();
+  }
+  if (!NewBookHosts.matchesCookieDomain(changeInfo.cookie.domain, settings)) return;
+
+  clearTimeout(NewBookAuth.checkTimeout);
+  NewBookAuth.checkTimeout = setTimeout(() => NewBookAuth.update(), NEWBOOK_AUTH_CHECK_DELAY);
+});
+
+// ============================================================================
+// SUMMARY NOTIFICATIONS
+// Polls the summary endpoint of every configured profile on an alarm so staff are alerted to
+// new critical issues (and new package bookings without a dinner reservation) even with the
+// panel closed
+// ============================================================================
+
+const SUMMARY_POLL_ALARM = 'summaryPoll';
+const SUMMARY_POLL_MIN_MINUTES = 0.5; // chrome.alarms won't fire more often than every 30s
+// Notification IDs carry the NewBook tab the panel opens on, chosen when the notification is
+// created - a click's user gesture is lost at the first await, before any lookup could finish
+const NOTIFICATION_BOOKING_PREFIX = 'bma-booking-'; // + profile ID + ':' + booking ID + ':' + tab ID
+const NOTIFICATION_SUMMARY_PREFIX = 'bma-summary-'; // + profile ID + ':' + tab ID
+
+// Profiles the background polls (and badges can show counts for)
+function configuredProfiles() {
+  return Profiles.list(settings).filter(profile => Profiles.isConfigured(profile));
+}
+
+// Storage key for a profile's last summary poll
+function summaryPollStateKey(profileId) {
+  return Profiles.storageKey('summaryPollState', profileId);
+}
+
+/**
+ * Create (or remove) the summary polling alarm to match the current settings
+ * Uses the Summary refresh rate as the polling interval. Polling runs whenever the API is
+ * configured, since the toolbar badge uses it too; notifications have their own setting
+ */
+async function scheduleSummaryPolling() {
+  if (!settings) {
+    await loadSettings();
+  }
+
+  await chrome.alarms.clear(SUMMARY_POLL_ALARM);
+
+  if (configuredProfiles().length === 0) {
+    BMA_LOG.log('Summary polling disabled - API not configured');
+    return;
+  }
+
+  const periodInMinutes = Math.max(SUMMARY_POLL_MIN_MINUTES, (settings.summaryRefreshRate || 60) / 60);
+  chrome.alarms.create(SUMMARY_POLL_ALARM, { periodInMinutes, delayInMinutes: periodInMinutes });
+  BMA_LOG.log(`Summary polling every ${periodInMinutes} minute(s)`);
+}
+
+/**
+ * Fetch a profile's summary and notify about anything new since its previous poll
+ * The first poll only records a baseline, so existing issues don't raise notifications
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Object|null>} Stored poll state, or null if the poll failed
+ */
+async function pollSummary(profileId) {
+  let data;
+  try {
+    data = (await DataStore.refresh('summary', summaryStoreParams(profileId))).data;
+  } catch (error) {
+    BMA_LOG.warn(`Summary poll failed (${profileId}):`, error.message);
+    return null;
+  }
+
+  if (!data || !data.success) return null;
+
+  const criticalCount = data.critical_count || 0;
+  const warningCount = data.warning_count || 0;
+  const packageAlerts = Array.isArray(data.package_alerts) ? data.package_alerts : [];
+  const alertIds = packageAlerts.map(alert => String(alert.booking_id));
+
+  // Service workers don't live between alarms, so the last poll is kept in storage
+  const stateKey = summaryPollStateKey(profileId);
+  const { [stateKey]: previous } = await chrome.storage.local.get(stateKey);
+  const state = { criticalCount, warningCount, packageAlertIds: alertIds, polledAt: Date.now() };
+  await chrome.storage.local.set({ [stateKey]: state });
+
+  if (settings.enableDesktopNotifications === false) {
+    return state;
+  }
+
+  if (!previous) {
+    BMA_LOG.log('Summary poll baseline recorded:', criticalCount, 'critical,', alertIds.length, 'package alerts');
+    return state;
+  }
+
+  // Name the hotel when there's more than one
+  const hotel = Profiles.list(settings).length > 1 ? `${Profiles.get(settings, profileId).name}: ` : '';
+
+  // Empty if no NewBook tab is open - the click opens one instead
+  const panelTabId = (await findPanelTab(profileId))?.id ?? '';
+
+  const newAlerts = packageAlerts.filter(alert => !previous.packageAlertIds.includes(String(alert.booking_id)));
+  newAlerts.forEach(alert => {
+    const nights = alert.date ? ` on ${alert.date}` : '';
+    chrome.notifications.create(`${NOTIFICATION_BOOKING_PREFIX}${profileId}:${alert.booking_id}:${panelTabId}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `${hotel}Package booking without dinner reservation`,
+      message: `${alert.guest_name || 'Booking #' + alert.booking_id} has a dinner package but no table${nights}`,
+      priority: 2,
+      requireInteraction: true
+    });
+  });
+
+  // Package alerts already explain the rise - only notify about other new critical issues
+  if (criticalCount > previous.criticalCount && newAlerts.length < criticalCount - previous.criticalCount) {
+    chrome.notifications.create(`${NOTIFICATION_SUMMARY_PREFIX}${profileId}:${panelTabId}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `${hotel}New critical booking issues`,
+      message: `${criticalCount} critical issue${criticalCount === 1 ? '' : 's'} on the Summary (was ${previous.criticalCount})`,
+      priority: 2
+    });
+  }
+
+  return state;
+}
+
+/**
+ * NewBook tab a hotel's panel should open on: one already showing the hotel (the active one
+ * first), otherwise any NewBook tab
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<chrome.tabs.Tab|null>} Null if no NewBook tab is open
+ */
+async function findPanelTab(profileId) {
+  const profileSettings = Profiles.resolve(settings, profileId);
+  const tabs = await chrome.tabs.query({ url: NewBookHosts.matchPatterns(NewBookHosts.list(profileSettings)) });
+  const profileTabs = tabs.filter(t => Profiles.match(settings, t) === profileId);
+  const candidates = profileTabs.length > 0 ? profileTabs : tabs;
+  return candidates.find(t => t.active) || candidates[0] || null;
+}
+
+/**
+ * Bring a NewBook tab to the front with the sidepanel open on a booking
+ * Must be called straight from the notification click: the panel is opened before the first await
+ * @param {string} profileId - Profile the booking belongs to
+ * @param {string|null} bookingId - NewBook booking ID, or null for the Summary
+ * @param {number|null} tabId - Tab chosen when the notification was created (null if none was open)
+ */
+async function openPanelForBooking(profileId, bookingId, tabId) {
+  // Notification clicks count as a user gesture, so open the panel before anything else
+  if (tabId !== null) {
+    chrome.sidePanel.open({ tabId }).catch(error => {
+      // Tab closed since the notification was shown - the panel can be opened from the toolbar
+      BMA_LOG.error('Failed to open sidepanel from notification:', error);
+    });
+  }
+
+  if (!settings) {
+    await loadSettings();
+  }
+  const profileSettings = Profiles.resolve(settings, profileId);
+  const bookingUrl = bookingId ? NewBookHosts.bookingUrl(bookingId, profileSettings) : null;
+
+  let tab = null;
+  if (tabId !== null) {
+    tab = await chrome.tabs.get(tabId).catch(() => null);
+  }
+  if (!tab) {
+    tab = await findPanelTab(profileId);
+  }
+
+  if (!tab) {
+    // No NewBook tab - open one; the panel can be opened from the toolbar once it loads
+    await chrome.tabs.create({ url: bookingUrl || `${NewBookHosts.primary(profileSettings)}/` });
+    return;
+  }
+
+  // Read by the sidepanel on startup if it isn't open yet, otherwise sent to it
+  await chrome.storage.session.set({ [windowProfileKeys(tab.windowId).active]: profileId });
+  MessageBus.send('profileDetected', { profileId }, { windowId: tab.windowId });
+  if (bookingId) {
+    await saveWindowBooking(tab.windowId, bookingId);
+  }
+
+  await chrome.windows.update(tab.windowId, { focused: true });
+  if (bookingUrl && !tab.url.includes(`/bookings_view/${bookingId}`)) {
+    // handleTabUpdate notifies the panel once the booking page loads
+    await chrome.tabs.update(tab.id, { active: true, url: bookingUrl });
+  } else {
+    await chrome.tabs.update(tab.id, { active: true });
+    if (bookingId) {
+      // If the panel is still loading it reads the window's booking from storage instead
+      MessageBus.send('bookingDetected', { bookingId: bookingId, source: 'notification' }, { windowId: tab.windowId });
+    }
+  }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SUMMARY_POLL_ALARM) {
+    DataStore.prune();
+    prunePlannerBadges();
+
+    // The worker may have just been woken by the alarm
+    if (!settings) {
+      await loadSettings();
+    }
+
+    const paused = await Credentials.pausedProfiles();
+    for (const profile of configuredProfiles()) {
+      if (paused.includes(profile.id)) continue; // Waiting for the password to be entered again
+
+      await pollSummary(profile.id);
+
+      // Keep today's Staying list warm for the next panel open
+      DataStore.refresh('staying', todayStoreParams(profile.id)).catch(error => {
+        BMA_LOG.warn(`Staying refresh failed (${profile.id}):`, error.message);
+      });
+    }
+
+    refreshActiveBadges();
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  let profileId = null;
+  let bookingId = null;
+  let tabId = '';
+  if (notificationId.startsWith(NOTIFICATION_BOOKING_PREFIX)) {
+    [profileId, bookingId, tabId = ''] = notificationId.slice(NOTIFICATION_BOOKING_PREFIX.length).split(':');
+  } else if (notificationId.startsWith(NOTIFICATION_SUMMARY_PREFIX)) {
+    [profileId, tabId = ''] = notificationId.slice(NOTIFICATION_SUMMARY_PREFIX.length).split(':');
+  }
+
+  chrome.notifications.clear(notificationId);
+  openPanelForBooking(profileId, bookingId, tabId ? parseInt(tabId) : null);
+});
+
+// ============================================================================
+// TOOLBAR BADGE
+// Combined critical + warning count for the booking open in each NewBook tab (or the Summary),
+// red if anything is critical, amber for warnings only, blue dot when there's nothing to report
+// ============================================================================
+
+const BADGE_COUNTS_TTL = 2 * 60 * 1000; // Re-fetch a booking's counts after 2 minutes
+const BADGE_COLORS = {
+  critical: '#dc2626',
+  warning: '#f59e0b',
+  available: '#3b82f6'
+};
+
+// Profile and booking ID (null for the Summary) each NewBook tab is showing, so late responses
+// for a page the tab has left are ignored. Rebuilt by handleTabUpdate after a restart.
+const badgeTargets = {}; // tabId -> { profileId, bookingId }
+
+/**
+ * Critical/warning counts for a booking (Restaurant + Checks) from the data store,
+ * re-fetched once they're older than BADGE_COUNTS_TTL
+ * @param {string} profileId - Profile the booking belongs to
+ * @param {string} bookingId - NewBook booking ID
+ * @returns {Promise<{critical: number, warning: number}|null>} Null if the API can't be reached
+ */
+async function getBookingCounts(profileId, bookingId) {
+  try {
+    const params = { profile: profileId, booking_id: String(bookingId) };
+    const [restaurant, checks] = await Promise.all([
+      DataStore.get('restaurant', params, { maxAge: BADGE_COUNTS_TTL }),
+      DataStore.get('checks', params, { maxAge: BADGE_COUNTS_TTL })
+    ]);
+
+    return {
+      critical: (restaurant.data.critical_count || 0) + (checks.data.critical_count || 0),
+      warning: (restaurant.data.warning_count || 0) + (checks.data.warning_count || 0)
+    };
+  } catch (error) {
+    BMA_LOG.warn(`Badge counts for booking ${bookingId} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Critical/warning counts for a profile's Summary, from its last background poll
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<{critical: number, warning: number}|null>}
+ */
+async function getSummaryCounts(profileId) {
+  const stateKey = summaryPollStateKey(profileId);
+  let { [stateKey]: state } = await chrome.storage.local.get(stateKey);
+  if (!state) {
+    state = await pollSummary(profileId);
+  }
+  return state ? { critical: state.criticalCount || 0, warning: state.warningCount || 0 } : null;
+}
+
+/**
+ * Show the issue count for a NewBook tab on the toolbar icon
+ * @param {number} tabId - Tab ID
+ * @param {string} profileId - Profile of the hotel the tab shows
+ * @param {string|null} bookingId - Booking open in the tab, or null for the Summary count
+ */
+async function updateActionBadge(tabId, profileId, bookingId) {
+  const target = { profileId, bookingId };
+  badgeTargets[tabId] = target;
+
+  const counts = bookingId ? await getBookingCounts(profileId, bookingId) : await getSummaryCounts(profileId);
+
+  // The tab has moved on (or left NewBook) while the counts were loading
+  if (badgeTargets[tabId] !== target) return;
+
+  const total = counts ? counts.critical + counts.warning : 0;
+  const hotel = Profiles.list(settings).length > 1 ? `${Profiles.get(settings, profileId).name} ` : '';
+  const subject = hotel + (bookingId ? `Booking #${bookingId}` : 'Summary');
+
+  try {
+    if (total > 0) {
+      await chrome.action.setBadgeText({ tabId, text: total > 99 ? '99+' : String(total) });
+      await chrome.action.setBadgeBackgroundColor({
+        tabId,
+        color: counts.critical > 0 ? BADGE_COLORS.critical : BADGE_COLORS.warning
+      });
+      await chrome.action.setTitle({
+        tabId,
+        title: `NewBook Assistant - ${subject}: ${counts.critical} critical, ${counts.warning} warning`
+      });
+    } else {
+      // Nothing to report - show that the sidepanel is available
+      await chrome.action.setBadgeText({ tabId, text: '●' });
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS.available });
+      await chrome.action.setTitle({
+        tabId,
+        title: counts ? `NewBook Assistant - ${subject}: no issues` : 'Click to open NewBook Assistant'
+      });
+    }
+  } catch (error) {
+    // Tab closed while the counts were loading
+    BMA_LOG.log('Could not update badge for tab:', tabId, error.message);
+  }
+}
+
+/**
+ * Refresh the badge of every tab we're tracking (after a summary poll)
+ */
+function refreshActiveBadges() {
+  Object.entries(badgeTargets).forEach(([tabId, target]) => {
+    updateActionBadge(parseInt(tabId), target.profileId, target.bookingId);
+  });
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  delete badgeTargets[tabId];
+});
+
+// ============================================================================
+// PLANNER BADGES
+// The content script decorates the booking blocks on NewBook's planner (restaurant booking
+// matched, package without dinner, failed checks). It has no API credentials, so it asks here
+// for every block on screen at once; bookings fetched in the last few minutes come from memory
+// and the rest are fetched with one request.
+// ============================================================================
+
+const PLANNER_BADGES_TTL = 2 * 60 * 1000;
+const PLANNER_BADGES_MAX_IDS = 300; // Blocks per request - a busy month view stays well below this
+
+const plannerBadgeCache = new Map(); // 'profileId:bookingId' -> { badges, fetchedAt }
+
+/**
+ * Badge flags for planner bookings
+ * @param {string} profileId - Profile of the hotel the planner shows
+ * @param {Array<string>} bookingIds - Booking IDs of the blocks on screen
+ * @returns {Promise<Object>} Booking ID -> { restaurant, missingDinner, checksFailed }
+ * @throws {Error} From apiRequest
+ */
+async function getPlannerBadges(profileId, bookingIds) {
+  const now = Date.now();
+  const badges = {};
+  const missing = [];
+
+  bookingIds.forEach(bookingId => {
+    const cached = plannerBadgeCache.get(`${profileId}:${bookingId}`);
+    if (cached && now - cached.fetchedAt < PLANNER_BADGES_TTL) {
+      badges[bookingId] = cached.badges;
+    } else {
+      missing.push(bookingId);
+    }
+  });
+
+  if (missing.length > 0) {
+    const data = await apiRequest('/bookings/planner-status', {
+      method: 'POST',
+      body: { booking_ids: missing.map(Number), context: 'chrome-planner' },
+      retries: 1,
+      profileId
+    });
+
+    const statuses = new Map((data.bookings || []).map(status => [String(status.booking_id), status]));
+    missing.forEach(bookingId => {
+      const status = statuses.get(bookingId);
+      badges[bookingId] = {
+        restaurant: !!status?.restaurant_matched,
+        missingDinner: !!status?.package_missing_dinner,
+        checksFailed: (status?.failed_checks || 0) > 0
+      };
+      plannerBadgeCache.set(`${profileId}:${bookingId}`, { badges: badges[bookingId], fetchedAt: now });
     });
   }
 
-  return true;
+  return badges;
+}
+
+// Drop flags nobody has asked for recently (run with the summary poll)
+function prunePlannerBadges() {
+  const cutoff = Date.now() - PLANNER_BADGES_TTL;
+  plannerBadgeCache.forEach((entry, key) => {
+    if (entry.fetchedAt < cutoff) plannerBadgeCache.delete(key);
+  });
+}
+
+// ============================================================================
+// PLANNER PREVIEW
+// Hovering a planner booking shows a card with its restaurant reservations, party sizes against
+// the room's occupancy and failed checks. The preview is a data store entry, so hovering the
+// same booking again (from any tab) within a couple of minutes doesn't reach the API.
+// ============================================================================
+
+const PLANNER_PREVIEW_TTL = 2 * 60 * 1000;
+
+/**
+ * Hover card contents for a booking
+ * @param {string} profileId - Profile of the hotel the planner shows
+ * @param {string} bookingId - NewBook booking ID
+ * @returns {Promise<Object>} { guestName, occupancy, nights: [{ date, reservations: [{ time, people, name }] }],
+ *          failedChecks: [{ label, severity }], updatedAt }
+ * @throws {Error} From apiRequest
+ */
+async function getPlannerPreview(profileId, bookingId) {
+  const entry = await DataStore.get('preview', { profile: profileId, booking_id: String(bookingId) }, { maxAge: PLANNER_PREVIEW_TTL });
+  const data = entry.data;
+
+  return {
+    guestName: data.guest_name || '',
+    occupancy: Number(data.occupancy) || 0, // Compared with party sizes - may arrive as a string
+    nights: (data.nights || []).map(night => ({
+      date: night.date,
+      reservations: (night.reservations || []).map(reservation => ({
+        time: reservation.time || '',
+        people: Number(reservation.people) || 0,
+        name: reservation.name || ''
+      }))
+    })),
+    failedChecks: (data.failed_checks || []).map(check => ({
+      label: check.label || '',
+      severity: check.severity === 'critical' ? 'critical' : 'warning'
+    })),
+    updatedAt: entry.updatedAt
+  };
+}
+
+// ============================================================================
+// MESSAGE HANDLERS (types are declared in shared/message-bus.js)
+// ============================================================================
+
+MessageBus.init({ context: 'background' });
+
+/**
+ * Put changed settings into effect: NewBook tabs and their content scripts, polling,
+ * extra-host content scripts and the data store
+ */
+function applySettings() {
+  MessageBus.setTrace(settings.enableDebugLogging);
+  BMA_LOG.log('Settings updated:', Credentials.strip(settings));
+
+  // Update all NewBook tabs and pass the new settings to their content scripts
+  chrome.tabs.query({ url: NewBookHosts.matchPatterns(NewBookHosts.list(settings)) }, (tabs) => {
+    tabs.forEach(tab => {
+      handleTabUpdate(tab);
+      MessageBus.sendToTab(tab.id, 'settingsUpdated', { settings: Credentials.strip(settings) });
+    });
+  });
+
+  // Interval or notification preference may have changed
+  scheduleSummaryPolling();
+
+  // NewBook hosts may have changed
+  registerHostContentScripts();
+  NewBookAuth.update();
+
+  // Entries may belong to another API or user
+  DataStore.clear();
+  plannerBadgeCache.clear();
+}
+
+// Settings page saved - sidepanels get the same message directly, content scripts don't
+MessageBus.on('settingsUpdated', async (message) => {
+  settings = await Credentials.apply(ManagedSettings.merge(message.settings, await ManagedSettings.get()));
+  applySettings();
+}, { senders: 'extension' });
+
+// Policy changed by the administrator - nobody else is told, so pass it on to the sidepanels
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'managed') return;
+
+  await loadSettings();
+  applySettings();
+  MessageBus.send('settingsUpdated', { settings: Credentials.strip(settings) });
 });
 
+// Booking detected by a content script (popup, tooltip or URL) - route to that window's sidepanel
+MessageBus.on('bookingDetected', async (message, sender) => {
+  const windowId = sender.tab.windowId;
+  BMA_LOG.log('Forwarding bookingDetected from content script:', message.bookingId, 'source:', message.source, 'window:', windowId);
+  saveWindowBooking(windowId, message.bookingId);
+  MessageBus.send('bookingDetected', { bookingId: message.bookingId, url: message.url, source: message.source }, { windowId });
+
+  // Popups and tooltips don't change the URL, so handleTabUpdate won't switch the icon's counts
+  await updateBadgeForDetectedBooking(sender.tab, message.bookingId);
+}, { senders: 'tabs' });
+
+MessageBus.on('plannerClick', async (message, sender) => {
+  const windowId = sender.tab.windowId;
+  BMA_LOG.log('Forwarding plannerClick from content script:', message.bookingId, 'window:', windowId);
+  MessageBus.send('plannerClick', { bookingId: message.bookingId, source: message.source }, { windowId });
+
+  await updateBadgeForDetectedBooking(sender.tab, message.bookingId);
+}, { senders: 'tabs' });
+
+/**
+ * Show a booking's counts on the toolbar icon of the tab it was found in
+ * @param {chrome.tabs.Tab} tab - Tab the content script runs in
+ * @param {string} bookingId - NewBook booking ID
+ */
+async function updateBadgeForDetectedBooking(tab, bookingId) {
+  // The worker may have just been woken by the message
+  if (!settings) {
+    await loadSettings();
+  }
+  updateActionBadge(tab.id, await profileForTab(tab), String(bookingId));
+}
+
+// NewBook's idle lock applies to the whole browser session, so every sidepanel is told
+MessageBus.on('sessionLockChanged', (message) => {
+  BMA_LOG.log('Session lock status changed:', message.isLocked ? 'LOCKED' : 'UNLOCKED');
+  MessageBus.send('sessionLockChanged', { isLocked: message.isLocked });
+}, { senders: 'tabs' });
+
+// Sidepanel tabs the booking page strip can open on
+const PANEL_TABS = ['summary', 'restaurant', 'checks', 'staying'];
+
+// Floating "open" button or a booking page strip button clicked (the click is the user gesture
+// sidePanel.open needs)
+MessageBus.on('openSidePanel', async (message, sender) => {
+  try {
+    await chrome.sidePanel.open({ tabId: sender.tab.id });
+    BMA_LOG.log('Sidepanel opened for tab:', sender.tab.id);
+
+    if (PANEL_TABS.includes(message.tab)) {
+      // A panel that's still starting reads it from storage, an open one is told
+      await chrome.storage.session.set({ [windowPanelTabKey(sender.tab.windowId)]: message.tab });
+      MessageBus.send('showTab', { tab: message.tab }, { windowId: sender.tab.windowId });
+    }
+    return { opened: true };
+  } catch (error) {
+    BMA_LOG.error('Failed to open sidepanel:', error);
+    return { opened: false };
+  }
+}, { senders: 'tabs' });
+
+// Planner blocks on screen - flags for their badges (see PLANNER BADGES)
+MessageBus.on('plannerBadges', async (message, sender) => {
+  if (!settings) {
+    await loadSettings();
+  }
+  if (settings.enablePlannerBadges === false) {
+    return { badges: {} };
+  }
+
+  const bookingIds = [...new Set(message.bookingIds.map(String))]
+    .filter(bookingId => /^\d+$/.test(bookingId))
+    .slice(0, PLANNER_BADGES_MAX_IDS);
+  const profileId = await profileForTab(sender.tab);
+  return { badges: await getPlannerBadges(profileId, bookingIds) };
+}, { senders: 'tabs' });
+
+// Planner booking hovered or booking page opened - contents of its preview card or strip (see PLANNER PREVIEW)
+MessageBus.on('bookingPreview', async (message, sender) => {
+  if (!settings) {
+    await loadSettings();
+  }
+  const profileId = await profileForTab(sender.tab);
+  return { preview: await getPlannerPreview(profileId, message.bookingId) };
+}, { senders: 'tabs' });
+
+// Sidepanel closed - show the floating button again in that window
+MessageBus.on('sidepanelClosed', (message) => {
+  BMA_LOG.log('Sidepanel closed in window', message.windowId, '- notifying content script');
+  const query = message.windowId ? { active: true, windowId: message.windowId } : { active: true, lastFocusedWindow: true };
+  chrome.tabs.query(query, (tabs) => {
+    if (tabs[0]) {
+      MessageBus.sendToTab(tabs[0].id, 'showOpenButton');
+    }
+  });
+}, { senders: 'extension' });
+
 // Initialize
 loadSettings();
 
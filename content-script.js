@@ -29,92 +29,125 @@ const BMA_LOG = {
 
 BMA_LOG.log('NewBook Assistant content script loaded');
 
-// Load settings
+MessageBus.init({ context: 'content' });
+
+// Load settings (defaults, saved settings and policy values merged)
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get('settings');
-    settings = result.settings || null;
+    settings = (await ManagedSettings.load()).settings;
+    MessageBus.setTrace(settings?.enableDebugLogging);
   } catch (error) {
     BMA_LOG.error('Error loading settings:', error);
   }
 }
 
-// Multi-method booking ID detection with cascading fallbacks
-function findBookingIdFromContext() {
-  // Method 1: Check URL pattern (highest priority)
-  const urlMatch = window.location.href.match(/\/bookings_(?:view|checkin)\/(\d+)/i);
-  if (urlMatch) {
-    return urlMatch[1];
-  }
-
-  // Method 2: Look for elements with booking_id attribute
-  const bookingElements = document.querySelectorAll('[booking_id]');
-  if (bookingElements.length > 0) {
-    return bookingElements[0].getAttribute('booking_id');
-  }
+// Page Watcher
+// One MutationObserver for the whole page. Features register detectors - CSS selectors for the
+// elements they care about being added, restyled (style/class) or removed - and are handed the
+// matching elements; mutations no detector matches cost a selector test and nothing more.
+const PageWatcher = {
+  detectors: [],
+  observer: null,
+
+  /**
+   * Watch the page for elements
+   * @param {string} name - Detector name (for errors)
+   * @param {Object} detector
+   * @param {string} detector.selector - Report these when added (directly or inside an added element)
+   * @param {string|null} detector.attributeSelector - Report these when their style or class changes
+   * @param {string|null} detector.removedSelector - Report these when removed (directly or inside a removed element)
+   * @param {number} detector.debounce - Collect matches for this many ms before reporting (0 = report each batch)
+   * @param {Function} detector.handler - (elements: Array<Element>) => void
+   */
+  register(name, { selector, attributeSelector = null, removedSelector = null, debounce = 0, handler }) {
+    this.detectors.push({ name, selector, attributeSelector, removedSelector, debounce, handler, pending: new Set(), timer: null });
+
+    if (!this.observer) {
+      this.observer = new MutationObserver(mutations => this.dispatch(mutations));
+      this.observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['style', 'class']
+      });
+    }
+  },
 
-  // Method 3: Check for data-booking-id attributes
-  const dataBookingElements = document.querySelectorAll('[data-booking-id]');
-  if (dataBookingElements.length > 0) {
-    return dataBookingElements[0].getAttribute('data-booking-id');
-  }
+  // The node itself and any descendants matching a selector
+  matching(node, selector) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return [];
+    const found = Array.from(node.querySelectorAll(selector));
+    return node.matches(selector) ? [node, ...found] : found;
+  },
 
-  // Method 4: Look for visible jQuery UI dialog with booking title
-  const visibleDialogs = document.querySelectorAll('.ui-dialog');
-  for (const dialog of visibleDialogs) {
-    if (dialog.style.display === 'none' || dialog.offsetParent === null) {
-      continue;
-    }
+  dispatch(mutations) {
+    this.detectors.forEach(detector => {
+      mutations.forEach(mutation => {
+        if (mutation.type === 'childList') {
+          mutation.addedNodes.forEach(node => {
+            this.matching(node, detector.selector).forEach(element => detector.pending.add(element));
+          });
+          if (detector.removedSelector) {
+            mutation.removedNodes.forEach(node => {
+              this.matching(node, detector.removedSelector).forEach(element => detector.pending.add(element));
+            });
+          }
+        } else if (detector.attributeSelector && mutation.target.matches(detector.attributeSelector)) {
+          detector.pending.add(mutation.target);
+        }
+      });
 
-    const titleElement = dialog.querySelector('.ui-dialog-title');
-    if (titleElement) {
-      const bookingMatch = titleElement.textContent.match(/Booking #(\d+)/i);
-      if (bookingMatch) {
-        return bookingMatch[1];
+      if (detector.pending.size === 0) return;
+      if (detector.debounce > 0) {
+        clearTimeout(detector.timer);
+        detector.timer = setTimeout(() => this.report(detector), detector.debounce);
+      } else {
+        this.report(detector);
       }
-    }
-  }
+    });
+  },
 
-  // Method 5: Check for booking links
-  const bookingLinks = document.querySelectorAll('a[href*="bookings_view/"]');
-  if (bookingLinks.length > 0) {
-    const linkMatch = bookingLinks[0].href.match(/bookings_view\/(\d+)/i);
-    if (linkMatch) {
-      return linkMatch[1];
+  report(detector) {
+    const elements = Array.from(detector.pending);
+    detector.pending.clear();
+    try {
+      detector.handler(elements);
+    } catch (error) {
+      BMA_LOG.error(`Page watcher ${detector.name} failed:`, error);
     }
   }
-
-  return null;
-}
+};
 
 // Detect booking page
 function detectBookingPage() {
   const url = window.location.href;
 
-  // Pattern: /bookings_view/12345 or /bookings_checkin/12345
-  const bookingIdMatch = url.match(/\/bookings_(?:view|checkin)\/(\d+)/i);
+  // Pattern: /bookings_view/12345 or /bookings_checkin/12345 (shared/booking-detectors.js)
+  const detected = BookingDetectors.detect(document, ['url'], settings);
 
-  if (bookingIdMatch) {
-    const bookingId = bookingIdMatch[1];
+  if (detected) {
+    const bookingId = detected.bookingId;
 
     if (bookingId !== currentBookingId) {
       currentBookingId = bookingId;
-      BMA_LOG.log('Booking detected:', bookingId);
+      BMA_LOG.log('Booking detected:', bookingId, 'by', detected.source);
 
       // Notify background script
-      chrome.runtime.sendMessage({
-        action: 'bookingDetected',
-        bookingId: bookingId,
-        url: url
-      }).catch(error => {
-        BMA_LOG.log('Could not send message to background:', error);
-      });
+      MessageBus.send('bookingDetected', { bookingId: bookingId, url: url, source: detected.source });
+
+      // Key warnings on the booking page itself (not the check-in page)
+      if (/\/bookings_view\//i.test(url)) {
+        showBookingStrip(bookingId);
+      } else {
+        removeBookingStrip();
+      }
     }
   } else {
     // Not on a booking page
     if (currentBookingId !== null) {
       currentBookingId = null;
       BMA_LOG.log('Left booking page');
+      removeBookingStrip();
     }
   }
 }
@@ -123,33 +156,20 @@ function detectBookingPage() {
 let clickTimer = null;
 let clickCount = 0;
 
-function handlePlannerBlockClick(event) {
-  const bookingBlock = event.currentTarget;
-  let bookingId = null;
-
-  // Try multiple methods to extract booking ID
-  bookingId = bookingBlock.getAttribute('booking_id') ||
-              bookingBlock.getAttribute('data-booking-id') ||
-              bookingBlock.dataset.bookingId;
+// Detectors that can read a planner block (attributes, then class name or element ID)
+const PLANNER_BLOCK_DETECTORS = ['attribute', 'element-name'];
 
-  // Fallback: try to find in class name
-  if (!bookingId && bookingBlock.className) {
-    const classMatch = bookingBlock.className.match(/booking[_-](\d+)/i);
-    if (classMatch) {
-      bookingId = classMatch[1];
-    }
-  }
-
-  // Fallback: try to find in element ID
-  if (!bookingId && bookingBlock.id) {
-    const idMatch = bookingBlock.id.match(/booking[_-](\d+)/i);
-    if (idMatch) {
-      bookingId = idMatch[1];
-    }
-  }
+// Booking ID of a planner block (also used for its badges and hover card)
+function getPlannerBlockBookingId(bookingBlock) {
+  return BookingDetectors.detect(bookingBlock, PLANNER_BLOCK_DETECTORS, settings)?.bookingId || null;
+}
 
+function handlePlannerBlockClick(event) {
+  const bookingId = getPlannerBlockBookingId(event.currentTarget);
   if (!bookingId) return;
 
+  hidePlannerPreview();
+
   clickCount++;
 
   if (clickCount === 1) {
@@ -159,13 +179,7 @@ function handlePlannerBlockClick(event) {
         // Single click confirmed - trigger sidepanel refresh
         BMA_LOG.log('Planner single-click on booking:', bookingId);
 
-        chrome.runtime.sendMessage({
-          action: 'plannerClick',
-          bookingId: bookingId,
-          source: 'planner-single-click'
-        }).catch(error => {
-          BMA_LOG.log('Could not send planner click message:', error);
-        });
+        MessageBus.send('plannerClick', { bookingId: bookingId, source: 'planner-single-click' });
       }
       clickCount = 0;
     }, 250); // 250ms delay to detect double-click
@@ -193,68 +207,527 @@ function setupPlannerClickListeners() {
       if (block.dataset.nbAssistantClickListener) return;
 
       block.addEventListener('click', handlePlannerBlockClick);
+      block.addEventListener('mouseenter', handlePlannerBlockEnter);
+      block.addEventListener('mouseleave', hidePlannerPreview);
       block.dataset.nbAssistantClickListener = 'true';
     });
+
+    // New or re-rendered blocks need their badges (again)
+    refreshPlannerBadges();
   };
 
   // Setup listeners for existing blocks
   attachListenersToBlocks();
 
   // Watch for new blocks being added (planner navigation, date changes, etc.)
-  // Use debouncing to avoid processing too many mutations
-  let debounceTimer = null;
-  const clickListenerObserver = new MutationObserver((mutations) => {
-    // Only process if actual booking blocks were added
-    let hasNewBookingBlocks = false;
-    for (const mutation of mutations) {
-      for (const node of mutation.addedNodes) {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          // Check if the added node is a booking block or contains booking blocks
-          if (node.matches && (node.matches('div[booking_id], div[data-booking-id]') ||
-              node.querySelector('div[booking_id], div[data-booking-id]'))) {
-            hasNewBookingBlocks = true;
-            break;
-          }
-        }
-      }
-      if (hasNewBookingBlocks) break;
+  // Debounced - the planner adds its blocks in bursts
+  PageWatcher.register('planner-blocks', {
+    selector: 'div[booking_id], div[data-booking-id]',
+    debounce: 100,
+    handler: attachListenersToBlocks
+  });
+
+  // The hover card is placed against the block - scrolling the planner leaves it behind
+  window.addEventListener('scroll', hidePlannerPreview, true);
+}
+
+// Planner Badges
+// Small icons on planner booking blocks, so the planner shows dinner coverage at a glance:
+// 🍴 restaurant booking matched, a red marker for a package booking without dinner and an amber
+// dot for failed checks. The background fetches the flags (it has the API credentials) for all
+// blocks on screen at once; flags are reused for a couple of minutes.
+const PLANNER_BADGES_TTL = 2 * 60 * 1000;
+const PLANNER_BADGES_TIMEOUT = 30000;
+const plannerBadges = new Map(); // Booking ID -> { badges (null if unavailable), fetchedAt }
+let plannerBadgesLoading = false;
+let plannerBadgesQueued = false; // Blocks appeared while a request was running
+
+// Styles for the planner badges, hover preview card and booking page strip (injected once)
+function injectAssistantStyles() {
+  if (document.getElementById('nb-assistant-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'nb-assistant-styles';
+  style.textContent = `
+    .nb-assistant-badges {
+      position: absolute;
+      top: 1px;
+      right: 1px;
+      display: flex;
+      gap: 2px;
+      align-items: center;
+      pointer-events: none;
+      z-index: 5;
+    }
+    .nb-assistant-badge {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      height: 14px;
+      min-width: 14px;
+      border-radius: 7px;
+      font-size: 9px;
+      line-height: 1;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      box-shadow: 0 0 0 1px rgba(255, 255, 255, 0.8);
+    }
+    .nb-assistant-badge-restaurant {
+      background: #ffffff;
+    }
+    .nb-assistant-badge-no-dinner {
+      background: #dc2626;
+      color: #ffffff;
+      font-weight: 700;
+    }
+    .nb-assistant-badge-checks {
+      height: 8px;
+      min-width: 8px;
+      border-radius: 50%;
+      background: #f59e0b;
+    }
+    #nb-assistant-preview {
+      position: fixed;
+      width: 260px;
+      padding: 10px 12px;
+      background: #ffffff;
+      color: #1f2937;
+      border-radius: 8px;
+      box-shadow: 0 6px 20px rgba(0, 0, 0, 0.25);
+      font-size: 12px;
+      line-height: 1.4;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      pointer-events: none;
+      z-index: 999998;
+    }
+    #nb-assistant-preview .nb-assistant-preview-title {
+      font-weight: 600;
+      margin-bottom: 6px;
+    }
+    #nb-assistant-preview .nb-assistant-preview-heading {
+      margin: 8px 0 2px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      color: #6b7280;
+    }
+    #nb-assistant-preview .nb-assistant-preview-row {
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+    }
+    #nb-assistant-preview .nb-assistant-preview-tonight {
+      font-weight: 600;
+    }
+    #nb-assistant-preview .nb-assistant-preview-none {
+      color: #dc2626;
+    }
+    #nb-assistant-preview .nb-assistant-preview-mismatch {
+      color: #d97706;
+    }
+    #nb-assistant-preview .nb-assistant-preview-critical {
+      color: #dc2626;
+    }
+    #nb-assistant-preview .nb-assistant-preview-warning {
+      color: #d97706;
+    }
+    #nb-assistant-preview .nb-assistant-preview-ok {
+      color: #16a34a;
+    }
+    #nb-assistant-preview .nb-assistant-preview-muted {
+      color: #6b7280;
+    }
+    #nb-assistant-booking-strip {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px 12px;
+      margin: 8px 0;
+      padding: 6px 10px;
+      background: #f5f3ff;
+      color: #1f2937;
+      border: 1px solid #c4b5fd;
+      border-radius: 6px;
+      font-size: 12px;
+      line-height: 1.4;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    #nb-assistant-booking-strip .nb-assistant-strip-label {
+      font-weight: 600;
+      color: #5b21b6;
     }
+    #nb-assistant-booking-strip .nb-assistant-strip-status {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px 10px;
+      flex: 1;
+    }
+    #nb-assistant-booking-strip .nb-assistant-strip-table {
+      color: #16a34a;
+    }
+    #nb-assistant-booking-strip .nb-assistant-strip-none {
+      color: #dc2626;
+      font-weight: 600;
+    }
+    #nb-assistant-booking-strip .nb-assistant-strip-critical {
+      color: #dc2626;
+      font-weight: 600;
+    }
+    #nb-assistant-booking-strip .nb-assistant-strip-warning {
+      color: #d97706;
+      font-weight: 600;
+    }
+    #nb-assistant-booking-strip .nb-assistant-strip-muted {
+      color: #6b7280;
+    }
+    #nb-assistant-booking-strip button {
+      padding: 2px 10px;
+      background: #ffffff;
+      color: #5b21b6;
+      border: 1px solid #c4b5fd;
+      border-radius: 12px;
+      font: inherit;
+      cursor: pointer;
+    }
+    #nb-assistant-booking-strip button:hover {
+      background: #ede9fe;
+    }
+    #nb-assistant-booking-strip .nb-assistant-strip-close {
+      padding: 0 6px;
+      border: none;
+      background: none;
+      color: #6b7280;
+      font-size: 16px;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// Show (or clear) the badges of one block
+function decoratePlannerBlock(block, badges) {
+  let holder = block.querySelector(':scope > .nb-assistant-badges');
+  const icons = [];
+  if (badges?.restaurant) {
+    icons.push('<span class="nb-assistant-badge nb-assistant-badge-restaurant" title="Restaurant booking matched">🍴</span>');
+  }
+  if (badges?.missingDinner) {
+    icons.push('<span class="nb-assistant-badge nb-assistant-badge-no-dinner" title="Package booking without dinner">!</span>');
+  }
+  if (badges?.checksFailed) {
+    icons.push('<span class="nb-assistant-badge nb-assistant-badge-checks" title="Checks failed"></span>');
+  }
 
-    if (hasNewBookingBlocks) {
-      // Debounce to avoid running multiple times in quick succession
-      clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(attachListenersToBlocks, 100);
+  if (icons.length === 0) {
+    holder?.remove();
+    return;
+  }
+
+  const html = icons.join('');
+  if (holder && holder.innerHTML === html) return;
+
+  if (!holder) {
+    holder = document.createElement('span');
+    holder.className = 'nb-assistant-badges';
+    // Badges are positioned in the block's corner
+    if (getComputedStyle(block).position === 'static') {
+      block.style.position = 'relative';
+    }
+    block.appendChild(holder);
+  }
+  holder.innerHTML = html;
+}
+
+// Fetch flags for blocks without recent ones, then badge every block on screen
+async function refreshPlannerBadges() {
+  const blocks = document.querySelectorAll('div[booking_id], div[data-booking-id]');
+
+  if (settings?.enablePlannerBadges === false) {
+    blocks.forEach(block => decoratePlannerBlock(block, null));
+    return;
+  }
+  if (blocks.length === 0) return;
+
+  const now = Date.now();
+  const needed = new Set();
+  blocks.forEach(block => {
+    const bookingId = getPlannerBlockBookingId(block);
+    const cached = bookingId && plannerBadges.get(bookingId);
+    if (bookingId && (!cached || now - cached.fetchedAt >= PLANNER_BADGES_TTL)) {
+      needed.add(bookingId);
     }
   });
 
-  clickListenerObserver.observe(document.body, {
-    childList: true,
-    subtree: true
+  // One request at a time - blocks added meanwhile are fetched once it's done
+  if (needed.size > 0 && plannerBadgesLoading) {
+    plannerBadgesQueued = true;
+  } else if (needed.size > 0) {
+    plannerBadgesLoading = true;
+    try {
+      const { badges } = await MessageBus.request('plannerBadges', { bookingIds: [...needed] }, { timeout: PLANNER_BADGES_TIMEOUT });
+      needed.forEach(bookingId => plannerBadges.set(bookingId, { badges: badges[bookingId] || null, fetchedAt: now }));
+    } catch (error) {
+      // Not configured, signed out or offline - don't ask again for these until the TTL passes
+      BMA_LOG.log('Planner badges unavailable:', error.message);
+      needed.forEach(bookingId => plannerBadges.set(bookingId, { badges: null, fetchedAt: now }));
+    } finally {
+      plannerBadgesLoading = false;
+    }
+  }
+
+  if (plannerBadgesQueued && !plannerBadgesLoading) {
+    plannerBadgesQueued = false;
+    refreshPlannerBadges();
+  }
+
+  injectAssistantStyles();
+  document.querySelectorAll('div[booking_id], div[data-booking-id]').forEach(block => {
+    const bookingId = getPlannerBlockBookingId(block);
+    decoratePlannerBlock(block, bookingId ? plannerBadges.get(bookingId)?.badges : null);
   });
 }
 
-// EasyToolTip Popup Detection (Preview Popup)
-// Note: easyToolTip is NewBook's preview popup that opens on double-click
-// This is NOT a hover tooltip - it's a full popup dialog
-function detectEasyToolTipPopup() {
-  const observer = new MutationObserver((mutations) => {
-    mutations.forEach((mutation) => {
-      mutation.addedNodes.forEach((node) => {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          // Only check elements with IDs that contain booking numbers
-          // This filters out generic hover tooltips (id="easyTooltip")
-          // and only processes preview popups (id="easyTooltip_booking_12345")
-          if (node.id && /easyTooltip_booking[_-]\d+/i.test(node.id)) {
-            handleEasyToolTipPopup(node);
-          }
+// Planner Hover Preview
+// Hovering a planner booking for settings.plannerPreviewDelay ms shows a card with its restaurant
+// reservations per night, party sizes against the room's occupancy and failed checks - enough to
+// answer "do they have a table tonight?" without changing what the sidepanel shows. The
+// background answers from its data store when the booking was looked at recently.
+const PLANNER_PREVIEW_TIMEOUT = 30000;
+let previewTimer = null;
+let previewBlock = null; // Block the card is (or is about to be) shown for
+
+function escapeHTML(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function handlePlannerBlockEnter(event) {
+  const block = event.currentTarget;
+  const delay = settings?.plannerPreviewDelay ?? 600;
+  if (delay === 0) return;
+
+  const bookingId = getPlannerBlockBookingId(block);
+  if (!bookingId) return;
+
+  hidePlannerPreview();
+  previewBlock = block;
+  previewTimer = setTimeout(() => showPlannerPreview(block, bookingId), delay);
+}
+
+function hidePlannerPreview() {
+  clearTimeout(previewTimer);
+  previewTimer = null;
+  previewBlock = null;
+  document.getElementById('nb-assistant-preview')?.remove();
+}
+
+async function showPlannerPreview(block, bookingId) {
+  injectAssistantStyles();
+
+  const card = document.createElement('div');
+  card.id = 'nb-assistant-preview';
+  card.innerHTML = `
+    <div class="nb-assistant-preview-title">Booking #${escapeHTML(bookingId)}</div>
+    <div class="nb-assistant-preview-muted">Loading...</div>
+  `;
+  document.body.appendChild(card);
+  positionPlannerPreview(card, block);
+
+  let html;
+  try {
+    const { preview } = await MessageBus.request('bookingPreview', { bookingId }, { timeout: PLANNER_PREVIEW_TIMEOUT });
+    html = buildPlannerPreview(bookingId, preview);
+  } catch (error) {
+    BMA_LOG.log('Planner preview unavailable:', error.message);
+    html = `
+      <div class="nb-assistant-preview-title">Booking #${escapeHTML(bookingId)}</div>
+      <div class="nb-assistant-preview-muted">Preview unavailable - open the sidepanel for details</div>
+    `;
+  }
+
+  // Pointer has moved on while the preview was loading
+  if (previewBlock !== block || !card.isConnected) return;
+
+  card.innerHTML = html;
+  positionPlannerPreview(card, block);
+}
+
+// Night label for the card and strip - 'Tonight' or e.g. 'Mon 12 Oct'
+function formatPreviewNight(date) {
+  const today = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+  if (date === today) return 'Tonight';
+  return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+// Card contents - nights with their reservations, then failed checks
+function buildPlannerPreview(bookingId, preview) {
+  const title = preview.guestName ? `${preview.guestName} · #${bookingId}` : `Booking #${bookingId}`;
+  let html = `<div class="nb-assistant-preview-title">${escapeHTML(title)}</div>`;
+
+  if (preview.occupancy) {
+    html += `<div class="nb-assistant-preview-muted">${escapeHTML(preview.occupancy)} ${preview.occupancy === 1 ? 'guest' : 'guests'} in the room</div>`;
+  }
+
+  html += '<div class="nb-assistant-preview-heading">🍴 Restaurant</div>';
+  if (preview.nights.length === 0) {
+    html += '<div class="nb-assistant-preview-muted">No nights to show</div>';
+  }
+  preview.nights.forEach(night => {
+    const label = formatPreviewNight(night.date);
+    const tonight = label === 'Tonight';
+    const tables = night.reservations.map(reservation => {
+      const mismatch = preview.occupancy && reservation.people !== preview.occupancy;
+      const people = `${reservation.people} pax` + (mismatch ? ` (${preview.occupancy} staying)` : '');
+      return `<span class="${mismatch ? 'nb-assistant-preview-mismatch' : ''}">${escapeHTML(reservation.time)} · ${escapeHTML(people)}</span>`;
+    });
+
+    html += `
+      <div class="nb-assistant-preview-row${tonight ? ' nb-assistant-preview-tonight' : ''}">
+        <span>${escapeHTML(label)}</span>
+        ${tables.length > 0 ? `<span>${tables.join('<br>')}</span>` : '<span class="nb-assistant-preview-none">No table</span>'}
+      </div>
+    `;
+  });
+
+  html += '<div class="nb-assistant-preview-heading">Checks</div>';
+  if (preview.failedChecks.length === 0) {
+    html += '<div class="nb-assistant-preview-ok">✓ All checks passed</div>';
+  }
+  preview.failedChecks.forEach(check => {
+    html += `<div class="nb-assistant-preview-${check.severity}">${check.severity === 'critical' ? '✕' : '⚠'} ${escapeHTML(check.label)}</div>`;
+  });
+
+  const updated = new Date(preview.updatedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  html += `<div class="nb-assistant-preview-heading nb-assistant-preview-muted">As of ${escapeHTML(updated)}</div>`;
+  return html;
+}
+
+// Below the block, or above it when there's no room, kept inside the window
+function positionPlannerPreview(card, block) {
+  const rect = block.getBoundingClientRect();
+  const gap = 6;
+  const margin = 8;
+
+  let top = rect.bottom + gap;
+  if (top + card.offsetHeight > window.innerHeight - margin) {
+    top = Math.max(margin, rect.top - card.offsetHeight - gap);
+  }
+  const left = Math.min(Math.max(margin, rect.left), window.innerWidth - card.offsetWidth - margin);
+
+  card.style.top = `${top}px`;
+  card.style.left = `${left}px`;
+}
+
+// Booking Page Strip
+// On /bookings_view/{id} a compact strip under the booking header shows whether each night has a
+// table and how many checks failed, with buttons that open the sidepanel on the Restaurant or
+// Checks tab - for staff who never open the sidepanel. Same data as the planner hover card.
+// Dismissing hides it for that booking until the browser tab is closed.
+const BOOKING_STRIP_TIMEOUT = 30000;
+const BOOKING_STRIP_DISMISSED_KEY = 'nb-assistant-strip-dismissed';
+// Where the strip goes - after the first of these found, else at the top of the page
+const BOOKING_STRIP_ANCHORS = ['.booking_header', '#booking_header', '.page_title', '#page_title', 'h1'];
+
+function dismissedStripBookings() {
+  try {
+    return JSON.parse(sessionStorage.getItem(BOOKING_STRIP_DISMISSED_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function removeBookingStrip() {
+  document.getElementById('nb-assistant-booking-strip')?.remove();
+}
+
+async function showBookingStrip(bookingId) {
+  removeBookingStrip();
+  if (settings?.enableBookingStrip === false) return;
+  if (dismissedStripBookings().includes(bookingId)) return;
+
+  injectAssistantStyles();
+
+  const strip = document.createElement('div');
+  strip.id = 'nb-assistant-booking-strip';
+  strip.innerHTML = `
+    <span class="nb-assistant-strip-label">📋 Assistant</span>
+    <span class="nb-assistant-strip-status nb-assistant-strip-muted">Loading...</span>
+    <button type="button" data-panel-tab="restaurant">🍴 Restaurant</button>
+    <button type="button" data-panel-tab="checks">Checks</button>
+    <button type="button" class="nb-assistant-strip-close" title="Hide for this booking">×</button>
+  `;
+
+  strip.querySelectorAll('[data-panel-tab]').forEach(button => {
+    button.addEventListener('click', () => {
+      MessageBus.request('openSidePanel', { tab: button.dataset.panelTab }).then(({ opened }) => {
+        if (opened) {
+          sidepanelOpen = true;
+          document.getElementById('newbook-helper-btn')?.remove();
         }
+      }).catch(error => {
+        BMA_LOG.log('Could not open sidepanel:', error.message);
       });
     });
   });
 
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
+  strip.querySelector('.nb-assistant-strip-close').addEventListener('click', () => {
+    sessionStorage.setItem(BOOKING_STRIP_DISMISSED_KEY, JSON.stringify([...dismissedStripBookings(), bookingId]));
+    removeBookingStrip();
+  });
+
+  const anchor = BOOKING_STRIP_ANCHORS.map(selector => document.querySelector(selector)).find(Boolean);
+  if (anchor) {
+    anchor.insertAdjacentElement('afterend', strip);
+  } else {
+    document.body.prepend(strip);
+  }
+
+  let html;
+  try {
+    const { preview } = await MessageBus.request('bookingPreview', { bookingId }, { timeout: BOOKING_STRIP_TIMEOUT });
+    html = buildBookingStripStatus(preview);
+  } catch (error) {
+    BMA_LOG.log('Booking strip unavailable:', error.message);
+    html = '<span class="nb-assistant-strip-muted">Restaurant and checks unavailable - open the sidepanel for details</span>';
+  }
+
+  // Left the booking (or dismissed the strip) while it was loading
+  if (!strip.isConnected || currentBookingId !== bookingId) return;
+
+  const status = strip.querySelector('.nb-assistant-strip-status');
+  status.classList.remove('nb-assistant-strip-muted');
+  status.innerHTML = html;
+}
+
+// Strip status - each night's table (or "no table"), then the failed checks count
+function buildBookingStripStatus(preview) {
+  const nights = preview.nights.map(night => {
+    const label = escapeHTML(formatPreviewNight(night.date));
+    if (night.reservations.length === 0) {
+      return `<span class="nb-assistant-strip-none">${label}: no table</span>`;
+    }
+    const times = night.reservations.map(reservation => `${reservation.time} (${reservation.people})`).join(', ');
+    return `<span class="nb-assistant-strip-table">${label}: 🍴 ${escapeHTML(times)}</span>`;
+  });
+
+  const critical = preview.failedChecks.filter(check => check.severity === 'critical').length;
+  const failed = preview.failedChecks.length;
+  const checks = failed === 0
+    ? '<span class="nb-assistant-strip-table">✓ Checks passed</span>'
+    : `<span class="nb-assistant-strip-${critical > 0 ? 'critical' : 'warning'}">${failed} failed ${failed === 1 ? 'check' : 'checks'}</span>`;
+
+  return [...nights, checks].join('');
+}
+
+// EasyToolTip Popup Detection (Preview Popup)
+// Note: easyToolTip is NewBook's preview popup that opens on double-click
+// This is NOT a hover tooltip - it's a full popup dialog
+function detectEasyToolTipPopup() {
+  // Only elements with IDs that contain booking numbers
+  // This filters out generic hover tooltips (id="easyTooltip")
+  // and only processes preview popups (id="easyTooltip_booking_12345")
+  PageWatcher.register('easytooltip-popups', {
+    selector: BOOKING_ID_DETECTORS.tooltip.selector,
+    handler: (popups) => popups.forEach(handleEasyToolTipPopup)
   });
 }
 
@@ -272,56 +745,29 @@ function handleEasyToolTipPopup(popupElement) {
   }
 
   // Extract booking ID from element ID (format: easyTooltip_booking_31977)
-  let bookingId = null;
-
-  if (popupElement.id) {
-    const idMatch = popupElement.id.match(/easyTooltip_booking[_-](\d+)/i);
-    if (idMatch) {
-      bookingId = idMatch[1];
-    }
-  }
-
   // IMPORTANT: Only process tooltips that have a specific booking ID in their ID attribute
   // Generic hover tooltips have id="easyTooltip" (no booking number)
   // Preview popups have id="easyTooltip_booking_12345"
-  if (!bookingId) {
-    BMA_LOG.log('Ignoring easyToolTip without booking ID (generic hover tooltip)', popupElement.id);
-    return;
-  }
-
-  // Fallback: try to find booking ID from links inside the popup
-  if (!bookingId) {
-    const bookingLink = popupElement.querySelector('a[href*="bookings_view/"]');
-    if (bookingLink) {
-      const linkMatch = bookingLink.href.match(/bookings_view\/(\d+)/i);
-      if (linkMatch) {
-        bookingId = linkMatch[1];
-      }
-    }
-  }
-
-  if (!bookingId) {
+  const detected = BookingDetectors.detect(popupElement, ['tooltip'], settings);
+  if (!detected) {
+    BMA_LOG.log('Ignoring easyToolTip without booking ID (generic hover tooltip, or tooltip detector off)', popupElement.id);
     return;
   }
+  const bookingId = detected.bookingId;
 
   // Mark as processed
   popupElement.dataset.nbAssistantProcessed = 'true';
 
   BMA_LOG.log('EasyToolTip preview popup detected for booking:', bookingId);
 
-  // Store and notify
-  chrome.storage.local.set({ currentBookingId: bookingId }).catch(() => {});
-  chrome.runtime.sendMessage({
-    action: 'bookingDetected',
-    bookingId: bookingId,
-    url: window.location.href,
-    source: 'easytoolip-popup'
-  }).catch(error => {
-    BMA_LOG.log('Could not send popup message:', error);
-  });
+  // Notify (the background stores it as this window's current booking)
+  MessageBus.send('bookingDetected', { bookingId: bookingId, url: window.location.href, source: detected.source });
 }
 
 // Booking Popup Detection (NewBook uses fieldsets with make_popup_tab_XXXXX class)
+const BOOKING_POPUP_SELECTOR = BOOKING_ID_DETECTORS['popup-fieldset'].selector;
+const BOOKING_POPUP_DETECTORS = ['popup-fieldset', 'dialog-title', 'link'];
+
 // Track recently processed booking IDs to prevent duplicate notifications
 const processedPopupBookings = new Set();
 
@@ -338,20 +784,14 @@ function handleBookingPopup(popupElement) {
     return;
   }
 
-  // Extract booking ID from class name (format: make_popup_tab_32794)
-  let bookingId = null;
-
-  if (popupElement.className) {
-    const classMatch = popupElement.className.match(/make_popup_tab[_-]?(\d+)/i);
-    if (classMatch) {
-      bookingId = classMatch[1];
-    }
-  }
-
-  if (!bookingId) {
-    BMA_LOG.log('No booking ID found in popup class name');
+  // Class name (format: make_popup_tab_32794), else the title or links of the dialog around it
+  const dialog = popupElement.closest('.ui-dialog');
+  const detected = BookingDetectors.detect(dialog ? [popupElement, dialog] : [popupElement], BOOKING_POPUP_DETECTORS, settings);
+  if (!detected) {
+    BMA_LOG.log('No booking ID found in popup');
     return;
   }
+  const bookingId = detected.bookingId;
 
   // Mark this element as processed
   popupElement.dataset.nbAssistantProcessed = 'true';
@@ -366,79 +806,44 @@ function handleBookingPopup(popupElement) {
   processedPopupBookings.add(bookingId);
   setTimeout(() => processedPopupBookings.delete(bookingId), 2000);
 
-  BMA_LOG.log('NewBook popup detected for booking:', bookingId);
-
-  // Store and notify
-  chrome.storage.local.set({ currentBookingId: bookingId }).catch(() => {});
-  chrome.runtime.sendMessage({
-    action: 'bookingDetected',
-    bookingId: bookingId,
-    url: window.location.href,
-    source: 'popup'
-  }).catch(error => {
-    BMA_LOG.log('Could not send popup message:', error);
-  });
-}
+  BMA_LOG.log('NewBook popup detected for booking:', bookingId, 'by', detected.source);
 
-function checkExistingPopups() {
-  // Look for fieldsets with make_popup_tab class (NewBook booking popups)
-  const popups = document.querySelectorAll('fieldset[class*="make_popup_tab"]');
-  popups.forEach(popup => {
-    if (popup.style.display !== 'none' && popup.offsetParent !== null) {
-      handleBookingPopup(popup);
-    }
-  });
+  // Notify (the background stores it as this window's current booking)
+  MessageBus.send('bookingDetected', { bookingId: bookingId, url: window.location.href, source: detected.source });
 }
 
-function setupPopupDetection() {
-  // MutationObserver for new popups
-  const observer = new MutationObserver((mutations) => {
-    mutations.forEach((mutation) => {
-      mutation.addedNodes.forEach((node) => {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          // Check if it's a fieldset with make_popup_tab class
-          if (node.tagName === 'FIELDSET' && node.className && /make_popup_tab/i.test(node.className)) {
-            handleBookingPopup(node);
-          }
 
-          // Check children for popups
-          if (node.querySelectorAll) {
-            const popups = node.querySelectorAll('fieldset[class*="make_popup_tab"]');
-            popups.forEach(popup => handleBookingPopup(popup));
-          }
-        }
-      });
-
-      // Watch for style attribute changes (show/hide)
-      if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
-        const target = mutation.target;
-        if (target.tagName === 'FIELDSET' && target.className && /make_popup_tab/i.test(target.className)) {
-          if (target.style.display !== 'none' && target.offsetParent !== null) {
-            handleBookingPopup(target);
-          }
-        }
+// Handle the visible popups among these elements (popups themselves or dialogs holding them)
+function handleVisiblePopups(elements) {
+  elements.forEach(element => {
+    const popups = element.matches(BOOKING_POPUP_SELECTOR) ? [element] : element.querySelectorAll(BOOKING_POPUP_SELECTOR);
+    popups.forEach(popup => {
+      if (popup.style.display !== 'none' && popup.offsetParent !== null) {
+        handleBookingPopup(popup);
       }
     });
   });
+}
 
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ['style']
+function setupPopupDetection() {
+  // Popups added, or shown later - by their own style or by the jQuery UI dialog around them
+  PageWatcher.register('booking-popups', {
+    selector: BOOKING_POPUP_SELECTOR,
+    attributeSelector: `${BOOKING_POPUP_SELECTOR}, .ui-dialog`,
+    handler: handleVisiblePopups
   });
 
-  // Periodic polling as backup (every 2 seconds)
-  setInterval(checkExistingPopups, 2000);
-
   // Check for existing popups on load
-  checkExistingPopups();
+  handleVisiblePopups([document.body]);
 }
 
 // SPA Navigation Detection
+// page-history-hook.js runs in the page's own world and fires NAVIGATION_EVENT whenever NewBook
+// calls history.pushState/replaceState; back/forward fire popstate
+const NAVIGATION_EVENT = 'nb-assistant:navigate';
 let lastUrl = window.location.href;
 
-function checkUrlChange() {
+function handleNavigation() {
   const currentUrl = window.location.href;
   if (currentUrl !== lastUrl) {
     lastUrl = currentUrl;
@@ -448,15 +853,8 @@ function checkUrlChange() {
   }
 }
 
-// Listen for popstate events (SPA navigation)
-window.addEventListener('popstate', () => {
-  detectBookingPage();
-  // Show button on navigation
-  setTimeout(createOpenButton, 1000);
-});
-
-// Poll for URL changes (backup for SPA detection)
-setInterval(checkUrlChange, 500);
+window.addEventListener(NAVIGATION_EVENT, handleNavigation);
+window.addEventListener('popstate', handleNavigation);
 
 // Track if sidepanel is currently open
 let sidepanelOpen = false;
@@ -515,7 +913,15 @@ function createOpenButton() {
   button.addEventListener('click', (e) => {
     if (e.target.id === 'close-btn') return; // Let close handle it
 
-    chrome.runtime.sendMessage({ action: 'openSidePanel' });
+    MessageBus.request('openSidePanel').then(({ opened }) => {
+      if (!opened) {
+        // Couldn't open (e.g. panel disabled for this tab) - bring the button back
+        sidepanelOpen = false;
+        setTimeout(createOpenButton, 500);
+      }
+    }).catch(error => {
+      BMA_LOG.log('Could not open sidepanel:', error.message);
+    });
 
     // Hide button with fade out animation
     button.style.opacity = '0';
@@ -543,16 +949,6 @@ function createOpenButton() {
   BMA_LOG.log('Open Assistant button shown');
 }
 
-// Remove the button if it exists
-function removeOpenButton() {
-  const button = document.getElementById('newbook-helper-btn');
-  if (button) {
-    button.style.opacity = '0';
-    button.style.transition = 'opacity 0.3s';
-    setTimeout(() => button.remove(), 300);
-  }
-}
-
 // Session Lock Dialog Detection
 // Detects NewBook's idle session dialog (#locked_session_dialog)
 function setupSessionLockDetection() {
@@ -566,12 +962,7 @@ function setupSessionLockDetection() {
     BMA_LOG.log('Session lock check:', isLocked ? 'LOCKED' : 'UNLOCKED');
 
     // Notify background script
-    chrome.runtime.sendMessage({
-      action: 'sessionLockChanged',
-      isLocked: isLocked
-    }).catch(error => {
-      BMA_LOG.log('Could not send session lock message:', error);
-    });
+    MessageBus.send('sessionLockChanged', { isLocked: !!isLocked });
 
     return isLocked;
   };
@@ -579,55 +970,15 @@ function setupSessionLockDetection() {
   // Initial check
   checkSessionLock();
 
-  // Monitor for dialog appearance/disappearance
-  const observer = new MutationObserver((mutations) => {
-    let shouldCheck = false;
-
-    for (const mutation of mutations) {
-      // Check for added nodes
-      for (const node of mutation.addedNodes) {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          if (node.id === 'locked_session_dialog' ||
-              (node.querySelector && node.querySelector('#locked_session_dialog'))) {
-            shouldCheck = true;
-            break;
-          }
-        }
-      }
-
-      // Check for removed nodes
-      for (const node of mutation.removedNodes) {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          if (node.id === 'locked_session_dialog') {
-            shouldCheck = true;
-            break;
-          }
-        }
-      }
-
-      // Check for attribute changes on the dialog itself
-      if (mutation.type === 'attributes' &&
-          mutation.target.id === 'locked_session_dialog') {
-        shouldCheck = true;
-      }
-
-      if (shouldCheck) break;
-    }
-
-    if (shouldCheck) {
-      checkSessionLock();
-    }
-  });
-
-  // Observe the entire document for dialog changes
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ['style', 'class']
+  // Monitor for dialog appearance/disappearance and show/hide (style or class)
+  PageWatcher.register('session-lock', {
+    selector: '#locked_session_dialog',
+    attributeSelector: '#locked_session_dialog',
+    removedSelector: '#locked_session_dialog',
+    handler: checkSessionLock
   });
 
-  BMA_LOG.log('Session lock observer active');
+  BMA_LOG.log('Session lock detection active');
 }
 
 // Initialize
@@ -640,8 +991,9 @@ async function init() {
   // Set up planner click detection with dynamic listeners
   setupPlannerClickListeners();
 
-  // NOTE: easyToolTip detection disabled - it triggers on hover tooltips too
-  // detectEasyToolTipPopup();
+  // easyToolTip preview popups - the 'tooltip' detector is off by default (it used to trigger
+  // on hover tooltips too) and can be switched on in settings
+  detectEasyToolTipPopup();
 
   // Set up NewBook popup detection (fieldsets with make_popup_tab class)
   setupPopupDetection();
@@ -658,19 +1010,27 @@ async function init() {
 // Start
 init();
 
-// Listen for messages from background script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'settingsUpdated') {
-    settings = message.settings;
-  } else if (message.action === 'sidepanelOpened') {
-    // Sidepanel was opened, hide button
-    BMA_LOG.log('Sidepanel opened, hiding button');
-    sidepanelOpen = true;
-    removeOpenButton();
-  } else if (message.action === 'showOpenButton') {
-    // Sidepanel was closed, show button
-    BMA_LOG.log('Sidepanel closed, showing button');
-    sidepanelOpen = false;
-    setTimeout(createOpenButton, 500);
+// Messages from the background script (types are declared in shared/message-bus.js)
+MessageBus.on('settingsUpdated', (message) => {
+  settings = message.settings;
+  MessageBus.setTrace(settings.enableDebugLogging);
+
+  // Badges may have been switched off, or now come from another API
+  plannerBadges.clear();
+  refreshPlannerBadges();
+  hidePlannerPreview();
+
+  // Strip may have been switched on or off
+  if (currentBookingId && /\/bookings_view\//i.test(window.location.href)) {
+    showBookingStrip(currentBookingId);
+  } else {
+    removeBookingStrip();
   }
 });
+
+MessageBus.on('showOpenButton', () => {
+  // Sidepanel was closed, show button
+  BMA_LOG.log('Sidepanel closed, showing button');
+  sidepanelOpen = false;
+  setTimeout(createOpenButton, 500);
+});
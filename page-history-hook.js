@@ -0,0 +1,16 @@
+// History Hook - runs in NewBook's own JavaScript world (content script with "world": "MAIN")
+// NewBook moves between pages with history.pushState/replaceState, which fire no event a
+// content script can listen for. This wraps both and announces every change with an
+// 'nb-assistant:navigate' event on window, which content-script.js picks up (the window is
+// shared between worlds). Extension APIs aren't available here, so it does nothing else.
+
+(() => {
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event('nb-assistant:navigate'));
+      return result;
+    };
+  });
+})();
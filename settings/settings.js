@@ -1,145 +1,271 @@
-// Default settings
-const DEFAULT_SETTINGS = {
-  apiRootUrl: '',
-  username: '',
-  applicationPassword: '',
-  enableSidebarOnNewBook: true,
-  recentBookingsCount: 10,
-  summaryRefreshRate: 60,
-  enablePlannerClickUpdate: true,
-  highlightNewestMinutes: 60,
-  inactivityTimeout: 60,
-  pauseInactivityWhenFormOpen: true,
-  autoRefreshOnStaleCache: true,
-  enableDebugLogging: false
+// Allowed ranges of the numeric settings (checked on save and on import)
+const SETTINGS_RANGES = {
+  recentBookingsCount: { min: 1, max: 50, message: 'Recent bookings count must be between 1 and 50' },
+  summaryRefreshRate: { min: 10, max: 300, message: 'Refresh rate must be between 10 and 300 seconds' },
+  highlightNewestMinutes: { min: 0, max: 1440, message: 'Highlight threshold must be between 0 and 1440 minutes (24 hours)' },
+  plannerPreviewDelay: { min: 0, max: 5000, message: 'Hover preview delay must be between 0 and 5000 milliseconds' },
+  inactivityTimeout: { min: 10, max: 600, message: 'Inactivity timeout must be between 10 and 600 seconds (10 minutes)' }
 };
 
 // DOM elements
 const elements = {
+  profileSelect: document.getElementById('profileSelect'),
+  addProfile: document.getElementById('addProfile'),
+  removeProfile: document.getElementById('removeProfile'),
+  profileName: document.getElementById('profileName'),
+  profileHotelName: document.getElementById('profileHotelName'),
+  profileNewbookHosts: document.getElementById('profileNewbookHosts'),
   apiRootUrl: document.getElementById('apiRootUrl'),
   username: document.getElementById('username'),
   applicationPassword: document.getElementById('applicationPassword'),
+  profileAuthMode: document.getElementById('profileAuthMode'),
+  credentialStorage: document.getElementById('credentialStorage'),
   enableSidebarOnNewBook: document.getElementById('enableSidebarOnNewBook'),
+  newbookHosts: document.getElementById('newbookHosts'),
   recentBookingsCount: document.getElementById('recentBookingsCount'),
   summaryRefreshRate: document.getElementById('summaryRefreshRate'),
   enablePlannerClickUpdate: document.getElementById('enablePlannerClickUpdate'),
+  enablePlannerBadges: document.getElementById('enablePlannerBadges'),
+  plannerPreviewDelay: document.getElementById('plannerPreviewDelay'),
+  enableBookingStrip: document.getElementById('enableBookingStrip'),
+  disabledBookingDetectors: document.getElementById('disabledBookingDetectors'),
   highlightNewestMinutes: document.getElementById('highlightNewestMinutes'),
   autoRefreshOnStaleCache: document.getElementById('autoRefreshOnStaleCache'),
+  enableDesktopNotifications: document.getElementById('enableDesktopNotifications'),
   inactivityTimeout: document.getElementById('inactivityTimeout'),
   pauseInactivityWhenFormOpen: document.getElementById('pauseInactivityWhenFormOpen'),
   enableDebugLogging: document.getElementById('enableDebugLogging'),
   testConnection: document.getElementById('testConnection'),
   saveSettings: document.getElementById('saveSettings'),
-  status: document.getElementById('status')
+  status: document.getElementById('status'),
+  auditFrom: document.getElementById('auditFrom'),
+  auditTo: document.getElementById('auditTo'),
+  auditBooking: document.getElementById('auditBooking'),
+  auditSearch: document.getElementById('auditSearch'),
+  auditEntries: document.getElementById('auditEntries'),
+  auditEmpty: document.getElementById('auditEmpty'),
+  auditExportJson: document.getElementById('auditExportJson'),
+  auditExportCsv: document.getElementById('auditExportCsv'),
+  transferPassphrase: document.getElementById('transferPassphrase'),
+  exportSettings: document.getElementById('exportSettings'),
+  importSettings: document.getElementById('importSettings'),
+  importFile: document.getElementById('importFile'),
+  importErrors: document.getElementById('importErrors')
 };
 
+// Audit log entries currently shown (used by export)
+let auditEntries = [];
+
+// Property profiles being edited; the API fields show profiles[selectedProfileIndex]
+let profiles = [];
+let selectedProfileIndex = 0;
+
+// Settings set by policy (shared/managed-settings.js) - shown locked
+let managedSettings = {};
+
 // Load settings from storage
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get('settings');
-    const settings = result.settings || DEFAULT_SETTINGS;
-
-    elements.apiRootUrl.value = settings.apiRootUrl || '';
-    elements.username.value = settings.username || '';
-    elements.applicationPassword.value = settings.applicationPassword || '';
-    elements.enableSidebarOnNewBook.checked = settings.enableSidebarOnNewBook !== false;
-    elements.recentBookingsCount.value = settings.recentBookingsCount || 10;
-    elements.summaryRefreshRate.value = settings.summaryRefreshRate || 60;
-    elements.enablePlannerClickUpdate.checked = settings.enablePlannerClickUpdate !== false;
-    elements.highlightNewestMinutes.value = settings.highlightNewestMinutes || 60;
-    elements.autoRefreshOnStaleCache.checked = settings.autoRefreshOnStaleCache !== false;
-    elements.inactivityTimeout.value = settings.inactivityTimeout || 60;
-    elements.pauseInactivityWhenFormOpen.checked = settings.pauseInactivityWhenFormOpen !== false;
-    elements.enableDebugLogging.checked = settings.enableDebugLogging === true;
+    const { settings, managed } = await ManagedSettings.load();
+    managedSettings = managed;
+    fillForm(await Credentials.apply(settings));
+    elements.credentialStorage.value = await Credentials.storageMode();
   } catch (error) {
     showStatus('Error loading settings: ' + error.message, 'error');
   }
 }
 
-// Save settings to storage
-async function saveSettings() {
-  try {
-    // Validate required fields
-    if (!elements.apiRootUrl.value.trim()) {
-      showStatus('API Root URL is required', 'error');
-      elements.apiRootUrl.focus();
-      return;
-    }
+// Show settings in the form (saved, or imported from a file)
+function fillForm(settings) {
+  profiles = Profiles.list(settings).map(profile => ({ ...profile }));
+  selectedProfileIndex = 0;
+  renderProfileOptions();
+  showProfile(0);
+  elements.enableSidebarOnNewBook.checked = settings.enableSidebarOnNewBook !== false;
+  elements.newbookHosts.value = NewBookHosts.list(settings).join('\n');
+  elements.recentBookingsCount.value = settings.recentBookingsCount || 10;
+  elements.summaryRefreshRate.value = settings.summaryRefreshRate || 60;
+  elements.enablePlannerClickUpdate.checked = settings.enablePlannerClickUpdate !== false;
+  elements.enablePlannerBadges.checked = settings.enablePlannerBadges !== false;
+  elements.plannerPreviewDelay.value = settings.plannerPreviewDelay ?? 600;
+  elements.enableBookingStrip.checked = settings.enableBookingStrip !== false;
+  showBookingDetectors(settings.disabledBookingDetectors || []);
+  elements.highlightNewestMinutes.value = settings.highlightNewestMinutes || 60;
+  elements.autoRefreshOnStaleCache.checked = settings.autoRefreshOnStaleCache !== false;
+  elements.enableDesktopNotifications.checked = settings.enableDesktopNotifications !== false;
+  elements.inactivityTimeout.value = settings.inactivityTimeout || 60;
+  elements.pauseInactivityWhenFormOpen.checked = settings.pauseInactivityWhenFormOpen !== false;
+  elements.enableDebugLogging.checked = settings.enableDebugLogging === true;
+  applyManagedLocks();
+}
 
-    if (!elements.username.value.trim()) {
-      showStatus('Username is required', 'error');
-      elements.username.focus();
-      return;
+// One checkbox per booking detector (shared/booking-detectors.js), ticked unless switched off
+function showBookingDetectors(disabled) {
+  elements.disabledBookingDetectors.innerHTML = '';
+  Object.entries(BOOKING_ID_DETECTORS).forEach(([name, detector]) => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = name;
+    checkbox.checked = !disabled.includes(name);
+    const text = document.createElement('span');
+    text.textContent = detector.label;
+    label.append(checkbox, text);
+    elements.disabledBookingDetectors.appendChild(label);
+  });
+}
+
+// Lock the fields a policy sets, with a note saying so
+// apiRootUrl and username are only managed for the first profile
+function applyManagedLocks() {
+  MANAGED_SETTING_KEYS.forEach(key => {
+    const input = elements[key];
+    if (!input) return;
+
+    const profileField = key === 'apiRootUrl' || key === 'username';
+    const locked = key in managedSettings && (!profileField || selectedProfileIndex === 0);
+    if (input.type === 'checkbox' || input.tagName === 'FIELDSET') {
+      input.disabled = locked;
+    } else {
+      input.readOnly = locked;
     }
 
-    if (!elements.applicationPassword.value.trim()) {
-      showStatus('Application Password is required', 'error');
-      elements.applicationPassword.focus();
-      return;
+    const group = input.closest('.form-group');
+    group.classList.toggle('managed', locked);
+    let note = group.querySelector('.managed-note');
+    if (locked && !note) {
+      note = document.createElement('small');
+      note.className = 'managed-note';
+      note.textContent = 'Managed by your organisation';
+      group.appendChild(note);
+    } else if (!locked && note) {
+      note.remove();
     }
+  });
+}
+
+/**
+ * Check a numeric setting against its allowed range
+ * @param {string} field - Key of SETTINGS_RANGES
+ * @param {number} value - Value to check
+ * @returns {string|null} Problem, or null if in range
+ */
+function checkRange(field, value) {
+  const range = SETTINGS_RANGES[field];
+  if (!Number.isInteger(value) || value < range.min || value > range.max) {
+    return range.message;
+  }
+  return null;
+}
 
-    // Validate API URL format
-    try {
-      const url = new URL(elements.apiRootUrl.value.trim());
-      if (url.protocol !== 'https:') {
-        showStatus('API URL must use HTTPS', 'error');
-        elements.apiRootUrl.focus();
+// Save settings to storage
+async function saveSettings() {
+  try {
+    // Validate every profile, showing the first one with a problem
+    storeProfileFields();
+    for (let index = 0; index < profiles.length; index++) {
+      const problem = validateProfile(profiles[index]);
+      if (problem) {
+        selectProfile(index);
+        const prefix = profiles.length > 1 ? `${profiles[index].name || 'Profile ' + (index + 1)}: ` : '';
+        showStatus(prefix + problem.message, 'error');
+        elements[problem.field].focus();
         return;
       }
-    } catch (error) {
-      showStatus('Invalid API URL format', 'error');
-      elements.apiRootUrl.focus();
-      return;
     }
 
-    // Validate numeric ranges
-    const bookingsCount = parseInt(elements.recentBookingsCount.value);
-    if (bookingsCount < 1 || bookingsCount > 50) {
-      showStatus('Recent bookings count must be between 1 and 50', 'error');
-      elements.recentBookingsCount.focus();
+    // Validate NewBook hosts (one per line, HTTPS only)
+    const hostLines = elements.newbookHosts.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const invalidHost = hostLines.find(line => !NewBookHosts.normalize(line));
+    if (invalidHost) {
+      showStatus(`Invalid NewBook site "${invalidHost}" - use an HTTPS address like https://appeu.newbook.cloud`, 'error');
+      elements.newbookHosts.focus();
       return;
     }
+    const newbookHosts = [...new Set(hostLines.map(line => NewBookHosts.normalize(line)))];
 
-    const refreshRate = parseInt(elements.summaryRefreshRate.value);
-    if (refreshRate < 10 || refreshRate > 300) {
-      showStatus('Refresh rate must be between 10 and 300 seconds', 'error');
-      elements.summaryRefreshRate.focus();
-      return;
-    }
-
-    const highlightMinutes = parseInt(elements.highlightNewestMinutes.value);
-    if (highlightMinutes < 0 || highlightMinutes > 1440) {
-      showStatus('Highlight threshold must be between 0 and 1440 minutes (24 hours)', 'error');
-      elements.highlightNewestMinutes.focus();
-      return;
+    // Validate numeric ranges (policy values are taken as they are)
+    const numbers = {};
+    for (const field of Object.keys(SETTINGS_RANGES)) {
+      numbers[field] = parseInt(elements[field].value);
+      if (field in managedSettings) continue;
+      const problem = checkRange(field, numbers[field]);
+      if (problem) {
+        showStatus(problem, 'error');
+        elements[field].focus();
+        return;
+      }
     }
 
-    const inactivityTimeout = parseInt(elements.inactivityTimeout.value);
-    if (inactivityTimeout < 10 || inactivityTimeout > 600) {
-      showStatus('Inactivity timeout must be between 10 and 600 seconds (10 minutes)', 'error');
-      elements.inactivityTimeout.focus();
-      return;
-    }
+    const savedProfiles = profiles.map(profile => ({
+      id: profile.id,
+      name: profile.name.trim(),
+      apiRootUrl: profile.apiRootUrl.trim().replace(/\/$/, ''), // Remove trailing slash
+      username: profile.username.trim(),
+      applicationPassword: profile.applicationPassword.trim().replace(/\s/g, ''), // Remove spaces
+      authMode: profile.authMode === 'token' ? 'token' : 'basic',
+      hotelName: profile.hotelName.trim(),
+      newbookHosts: [...new Set(profile.newbookHosts.map(host => NewBookHosts.normalize(host)))]
+    }));
 
-    const settings = {
-      apiRootUrl: elements.apiRootUrl.value.trim().replace(/\/$/, ''), // Remove trailing slash
-      username: elements.username.value.trim(),
-      applicationPassword: elements.applicationPassword.value.trim().replace(/\s/g, ''), // Remove spaces
+    const formSettings = {
+      // Top-level API fields mirror the first profile, as saved before profiles existed
+      apiRootUrl: savedProfiles[0].apiRootUrl,
+      username: savedProfiles[0].username,
+      applicationPassword: savedProfiles[0].applicationPassword,
+      profiles: savedProfiles,
       enableSidebarOnNewBook: elements.enableSidebarOnNewBook.checked,
-      recentBookingsCount: bookingsCount,
-      summaryRefreshRate: refreshRate,
+      newbookHosts: newbookHosts.length > 0 ? newbookHosts : DEFAULT_NEWBOOK_HOSTS.slice(),
+      recentBookingsCount: numbers.recentBookingsCount,
+      summaryRefreshRate: numbers.summaryRefreshRate,
       enablePlannerClickUpdate: elements.enablePlannerClickUpdate.checked,
-      highlightNewestMinutes: highlightMinutes,
+      enablePlannerBadges: elements.enablePlannerBadges.checked,
+      plannerPreviewDelay: numbers.plannerPreviewDelay,
+      enableBookingStrip: elements.enableBookingStrip.checked,
+      disabledBookingDetectors: Array.from(elements.disabledBookingDetectors.querySelectorAll('input:not(:checked)')).map(input => input.value),
+      highlightNewestMinutes: numbers.highlightNewestMinutes,
       autoRefreshOnStaleCache: elements.autoRefreshOnStaleCache.checked,
-      inactivityTimeout: inactivityTimeout,
+      enableDesktopNotifications: elements.enableDesktopNotifications.checked,
+      inactivityTimeout: numbers.inactivityTimeout,
       pauseInactivityWhenFormOpen: elements.pauseInactivityWhenFormOpen.checked,
       enableDebugLogging: elements.enableDebugLogging.checked
     };
+    const settings = ManagedSettings.merge(formSettings, managedSettings);
+
+    // Must be the first await - Chrome only shows the permission prompt during the click
+    const granted = await updateHostPermissions(settings);
+    if (!granted) {
+      showStatus('Access to the new NewBook sites was not granted - settings not saved', 'error');
+      elements.newbookHosts.focus();
+      return;
+    }
 
-    await chrome.storage.sync.set({ settings });
+    // Passwords stay on this device; synced settings and messages never include them
+    const passwords = {};
+    savedProfiles.forEach(profile => {
+      passwords[profile.id] = profile.applicationPassword;
+    });
+    const previousPasswords = await Credentials.passwords();
+    await Credentials.save(passwords, elements.credentialStorage.value);
+    const { settings: stored } = await chrome.storage.sync.get('settings');
+    const saved = Credentials.strip(ManagedSettings.unmanaged(formSettings, managedSettings, stored));
+    await chrome.storage.sync.set({ settings: saved });
 
-    // Notify background script that settings changed
-    chrome.runtime.sendMessage({ action: 'settingsUpdated', settings });
+    // Profiles paused after a 401 try again if their credentials changed
+    const previousProfiles = Profiles.list(ManagedSettings.merge(stored, managedSettings));
+    for (const profile of savedProfiles) {
+      const before = previousProfiles.find(previous => previous.id === profile.id);
+      const changed = !before || previousPasswords[profile.id] !== profile.applicationPassword ||
+        before.apiRootUrl !== profile.apiRootUrl || before.username !== profile.username ||
+        (before.authMode || 'basic') !== profile.authMode;
+      if (changed) {
+        await Credentials.resume(profile.id);
+      }
+    }
+
+    // Notify background script that settings changed (it adds the policy values again)
+    MessageBus.send('settingsUpdated', { settings: saved });
 
     showStatus('Settings saved successfully!', 'success');
   } catch (error) {
@@ -147,50 +273,157 @@ async function saveSettings() {
   }
 }
 
-// Test API connection
-async function testConnection() {
-  try {
-    const apiUrl = elements.apiRootUrl.value.trim().replace(/\/$/, '');
-    const username = elements.username.value.trim();
-    const password = elements.applicationPassword.value.trim().replace(/\s/g, '');
+// Fill the profile dropdown
+function renderProfileOptions() {
+  elements.profileSelect.innerHTML = '';
+  profiles.forEach((profile, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = profile.name || `Profile ${index + 1}`;
+    elements.profileSelect.appendChild(option);
+  });
+  elements.profileSelect.value = String(selectedProfileIndex);
+  elements.removeProfile.disabled = profiles.length < 2;
+}
 
-    if (!apiUrl || !username || !password) {
-      showStatus('Please fill in all API configuration fields', 'error');
-      return;
-    }
+// Show a profile's fields
+function showProfile(index) {
+  const profile = profiles[index];
+  elements.profileName.value = profile.name || '';
+  elements.apiRootUrl.value = profile.apiRootUrl || '';
+  elements.username.value = profile.username || '';
+  elements.applicationPassword.value = profile.applicationPassword || '';
+  elements.profileAuthMode.value = profile.authMode === 'token' ? 'token' : 'basic';
+  elements.profileHotelName.value = profile.hotelName || '';
+  elements.profileNewbookHosts.value = (profile.newbookHosts || []).join('\n');
+  applyManagedLocks();
+}
 
-    showStatus('Testing connection...', 'info');
-    elements.testConnection.disabled = true;
+// Keep what's typed for the selected profile before showing another one or saving
+function storeProfileFields() {
+  const profile = profiles[selectedProfileIndex];
+  if (!profile) return;
+  profile.name = elements.profileName.value;
+  profile.apiRootUrl = elements.apiRootUrl.value;
+  profile.username = elements.username.value;
+  profile.applicationPassword = elements.applicationPassword.value;
+  profile.authMode = elements.profileAuthMode.value;
+  profile.hotelName = elements.profileHotelName.value;
+  profile.newbookHosts = elements.profileNewbookHosts.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
 
-    // Test with a simple endpoint (summary)
-    const response = await fetch(`${apiUrl}/summary?context=chrome-summary`, {
-      method: 'GET',
-      headers: {
-        'Authorization': 'Basic ' + btoa(`${username}:${password}`),
-        'Content-Type': 'application/json'
-      }
-    });
+function selectProfile(index) {
+  storeProfileFields();
+  selectedProfileIndex = index;
+  renderProfileOptions();
+  showProfile(index);
+}
 
-    if (response.ok) {
-      const data = await response.json();
-      if (data.success !== undefined) {
-        showStatus('Connection successful! API is responding correctly.', 'success');
-      } else {
-        showStatus('Connected, but unexpected response format', 'info');
-      }
-    } else if (response.status === 401) {
-      showStatus('Authentication failed. Check your username and password.', 'error');
-    } else if (response.status === 404) {
-      showStatus('API endpoint not found. Check your API URL.', 'error');
-    } else {
-      showStatus(`Connection failed with status ${response.status}`, 'error');
+function addProfile() {
+  storeProfileFields();
+  profiles.push({
+    id: `p${Date.now().toString(36)}`,
+    name: `Profile ${profiles.length + 1}`,
+    apiRootUrl: '',
+    username: '',
+    applicationPassword: '',
+    authMode: 'basic',
+    hotelName: '',
+    newbookHosts: []
+  });
+  selectedProfileIndex = profiles.length - 1;
+  renderProfileOptions();
+  showProfile(selectedProfileIndex);
+  elements.profileName.select();
+}
+
+function removeProfile() {
+  if (profiles.length < 2) return;
+  const profile = profiles[selectedProfileIndex];
+  if (!confirm(`Remove the profile "${profile.name || 'Profile ' + (selectedProfileIndex + 1)}"? It is deleted when you save.`)) {
+    return;
+  }
+  profiles.splice(selectedProfileIndex, 1);
+  selectedProfileIndex = 0;
+  renderProfileOptions();
+  showProfile(0);
+}
+
+/**
+ * Check a profile's fields
+ * @param {Object} profile - Profile as edited
+ * @returns {{field: string, message: string}|null} Element to focus and the problem, or null if valid
+ */
+function validateProfile(profile) {
+  if (!profile.name.trim()) {
+    return { field: 'profileName', message: 'Profile name is required' };
+  }
+  if (!profile.apiRootUrl.trim()) {
+    return { field: 'apiRootUrl', message: 'API Root URL is required' };
+  }
+  if (!profile.username.trim()) {
+    return { field: 'username', message: 'Username is required' };
+  }
+  if (!profile.applicationPassword.trim()) {
+    return { field: 'applicationPassword', message: 'Application Password is required' };
+  }
+
+  // Validate API URL format
+  try {
+    const url = new URL(profile.apiRootUrl.trim());
+    if (url.protocol !== 'https:') {
+      return { field: 'apiRootUrl', message: 'API URL must use HTTPS' };
     }
   } catch (error) {
-    if (error.message.includes('Failed to fetch')) {
-      showStatus('Cannot reach API server. Check the URL and network connection.', 'error');
-    } else {
-      showStatus('Error testing connection: ' + error.message, 'error');
-    }
+    return { field: 'apiRootUrl', message: 'Invalid API URL format' };
+  }
+
+  const invalidHost = profile.newbookHosts.find(host => !NewBookHosts.normalize(host));
+  if (invalidHost) {
+    return { field: 'profileNewbookHosts', message: `Invalid NewBook site "${invalidHost}" - use an HTTPS address` };
+  }
+  return null;
+}
+
+// Ask for access to NewBook hosts outside the manifest, and give up access to ones removed
+// Returns false if the user declined the prompt
+async function updateHostPermissions(settings) {
+  const wanted = NewBookHosts.matchPatterns(NewBookHosts.extra(settings));
+
+  if (wanted.length > 0) {
+    const granted = await chrome.permissions.request({ origins: wanted });
+    if (!granted) return false;
+  }
+
+  const required = chrome.runtime.getManifest().host_permissions || [];
+  const current = await chrome.permissions.getAll();
+  const unused = (current.origins || []).filter(origin => !required.includes(origin) && !wanted.includes(origin));
+  if (unused.length > 0) {
+    await chrome.permissions.remove({ origins: unused });
+  }
+  return true;
+}
+
+// Test API connection
+async function testConnection() {
+  const profile = {
+    apiRootUrl: elements.apiRootUrl.value.trim().replace(/\/$/, ''),
+    username: elements.username.value.trim(),
+    applicationPassword: elements.applicationPassword.value.trim().replace(/\s/g, ''),
+    authMode: elements.profileAuthMode.value
+  };
+
+  if (!profile.apiRootUrl || !profile.username || !profile.applicationPassword) {
+    showStatus('Please fill in all API configuration fields', 'error');
+    return;
+  }
+
+  showStatus('Testing connection...', 'info');
+  elements.testConnection.disabled = true;
+  try {
+    // Same check as signing in again from the sidepanel (shared/credentials.js)
+    const result = await Credentials.check(profile);
+    showStatus(result.message, result.type);
   } finally {
     elements.testConnection.disabled = false;
   }
@@ -210,9 +443,423 @@ function showStatus(message, type = 'info') {
   }
 }
 
+// Read the audit log filters (dates are local days, inclusive)
+function getAuditFilters() {
+  const filters = { bookingId: elements.auditBooking.value.trim() || null };
+  if (elements.auditFrom.value) {
+    filters.from = new Date(elements.auditFrom.value + 'T00:00:00').getTime();
+  }
+  if (elements.auditTo.value) {
+    filters.to = new Date(elements.auditTo.value + 'T23:59:59.999').getTime();
+  }
+  return filters;
+}
+
+// Describe an entry's changes as "field: old → new" lines
+function formatAuditDiff(diff) {
+  return Object.entries(diff || {}).map(([field, change]) => {
+    const format = (value) => {
+      if (value === null || value === undefined || value === '') return '—';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+    return `${field}: ${format(change.from)} → ${format(change.to)}`;
+  }).join('\n');
+}
+
+// Load and render audit log entries matching the filters
+async function loadAuditLog() {
+  try {
+    auditEntries = await AuditLog.query(getAuditFilters());
+  } catch (error) {
+    showStatus('Error loading audit log: ' + error.message, 'error');
+    return;
+  }
+
+  elements.auditEntries.innerHTML = '';
+  elements.auditEmpty.classList.toggle('hidden', auditEntries.length > 0);
+
+  auditEntries.forEach(entry => {
+    const row = document.createElement('tr');
+    const bookings = [
+      entry.hotelBookingId ? `#${entry.hotelBookingId}` : null,
+      entry.resosBookingId ? `ResOS ${entry.resosBookingId}` : null
+    ].filter(Boolean).join('\n');
+
+    const cells = [
+      new Date(entry.timestamp).toLocaleString(),
+      entry.username || '',
+      bookings,
+      `${entry.action || ''}\n${entry.method} ${entry.endpoint}`,
+      formatAuditDiff(entry.diff),
+      entry.message ? `${entry.result}: ${entry.message}` : entry.result
+    ];
+
+    cells.forEach((text, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (index === cells.length - 1) {
+        cell.className = `audit-result ${entry.result}`;
+      }
+      row.appendChild(cell);
+    });
+
+    elements.auditEntries.appendChild(row);
+  });
+}
+
+// Download the entries currently shown
+function exportAuditLog(format) {
+  if (auditEntries.length === 0) {
+    showStatus('No audit log entries to export', 'info');
+    return;
+  }
+
+  const content = format === 'csv'
+    ? AuditLog.toCSV(auditEntries)
+    : JSON.stringify(auditEntries, null, 2);
+  const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `newbook-assistant-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Settings import/export - a JSON bundle for setting up another reception PC
+// Application passwords are left out, or encrypted with a passphrase (PBKDF2 + AES-GCM). The
+// bundle is signed: with a passphrase by an HMAC only the passphrase holder can produce,
+// otherwise by a SHA-256 digest that catches damaged or hand-edited files.
+
+const SETTINGS_BUNDLE_FORMAT = 'newbook-assistant-settings';
+const SETTINGS_BUNDLE_VERSION = 1;
+const SETTINGS_BUNDLE_KDF_ITERATIONS = 250000;
+const SETTINGS_BUNDLE_MIN_PASSPHRASE = 8;
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// JSON with object keys sorted, so the signature doesn't depend on key order
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Derive the encryption and signing keys for a bundle from a passphrase
+ * @param {string} passphrase - Passphrase typed on export/import
+ * @param {Uint8Array} salt - Random salt stored in the bundle
+ * @param {number} iterations - PBKDF2 iterations stored in the bundle
+ * @returns {Promise<{encryptKey: CryptoKey, signKey: CryptoKey}>}
+ */
+async function deriveBundleKeys(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    512
+  ));
+  const encryptKey = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  const signKey = await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+  return { encryptKey, signKey };
+}
+
+/**
+ * Signature of a bundle's contents (everything except the signature itself)
+ * @param {Object} bundle - Bundle
+ * @param {CryptoKey|null} signKey - HMAC key, or null for a plain SHA-256 digest
+ * @returns {Promise<string>} Base64 signature
+ */
+async function signBundle(bundle, signKey) {
+  const { signature, ...contents } = bundle;
+  const data = new TextEncoder().encode(canonicalJSON(contents));
+  const digest = signKey
+    ? await crypto.subtle.sign('HMAC', signKey, data)
+    : await crypto.subtle.digest('SHA-256', data);
+  return bytesToBase64(digest);
+}
+
+/**
+ * Build an export bundle from the saved settings
+ * @param {Object} settings - Saved settings
+ * @param {string|null} passphrase - Encrypt application passwords with this, or null to leave them out
+ * @returns {Promise<Object>} Bundle
+ */
+async function buildSettingsBundle(settings, passphrase) {
+  const exported = { ...settings, applicationPassword: '' };
+  const bundle = {
+    format: SETTINGS_BUNDLE_FORMAT,
+    version: SETTINGS_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    passwords: passphrase ? 'encrypted' : 'excluded',
+    settings: exported
+  };
+
+  let signKey = null;
+  let encryptKey = null;
+  if (passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    ({ encryptKey, signKey } = await deriveBundleKeys(passphrase, salt, SETTINGS_BUNDLE_KDF_ITERATIONS));
+    bundle.encryption = { algorithm: 'AES-GCM', kdf: 'PBKDF2-SHA-256', iterations: SETTINGS_BUNDLE_KDF_ITERATIONS, salt: bytesToBase64(salt) };
+  }
+
+  exported.profiles = await Promise.all(Profiles.list(settings).map(async (profile) => {
+    if (!encryptKey || !profile.applicationPassword) {
+      return { ...profile, applicationPassword: '' };
+    }
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, encryptKey, new TextEncoder().encode(profile.applicationPassword));
+    return { ...profile, applicationPassword: { iv: bytesToBase64(iv), data: bytesToBase64(data) } };
+  }));
+
+  bundle.signature = await signBundle(bundle, signKey);
+  return bundle;
+}
+
+/**
+ * Check imported settings against DEFAULT_SETTINGS (types), SETTINGS_RANGES and the profile rules
+ * @param {Object} settings - Settings from a bundle (passwords already decrypted or blank)
+ * @param {boolean} passwordsIncluded - False if the bundle left the passwords out
+ * @returns {Array<string>} One message per problem ("field: problem"), empty if valid
+ */
+function validateImportedSettings(settings, passwordsIncluded) {
+  const errors = [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['settings: missing or not an object'];
+  }
+
+  Object.keys(settings).forEach(field => {
+    if (!(field in DEFAULT_SETTINGS)) {
+      errors.push(`${field}: unknown setting`);
+    }
+  });
+
+  Object.entries(DEFAULT_SETTINGS).forEach(([field, defaultValue]) => {
+    const value = settings[field];
+    if (value === undefined) return; // Missing settings keep their default
+
+    const expected = Array.isArray(defaultValue) ? 'array' : typeof defaultValue;
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (actual !== expected) {
+      errors.push(`${field}: must be ${expected === 'array' ? 'a list' : 'a ' + expected}`);
+      return;
+    }
+
+    if (SETTINGS_RANGES[field]) {
+      const problem = checkRange(field, value);
+      if (problem) errors.push(`${field}: ${problem}`);
+    }
+  });
+
+  if (Array.isArray(settings.newbookHosts)) {
+    settings.newbookHosts.forEach((host, index) => {
+      if (typeof host !== 'string' || !NewBookHosts.normalize(host)) {
+        errors.push(`newbookHosts[${index}]: not an HTTPS address`);
+      }
+    });
+  }
+
+  if (Array.isArray(settings.disabledBookingDetectors)) {
+    settings.disabledBookingDetectors.forEach((name, index) => {
+      if (!(name in BOOKING_ID_DETECTORS)) {
+        errors.push(`disabledBookingDetectors[${index}]: unknown detector`);
+      }
+    });
+  }
+
+  if (Array.isArray(settings.profiles)) {
+    const ids = new Set();
+    settings.profiles.forEach((profile, index) => {
+      const label = `profiles[${index}]`;
+      const fields = ['id', 'name', 'apiRootUrl', 'username', 'applicationPassword', 'hotelName'];
+      const wrongType = fields.filter(field => typeof profile?.[field] !== 'string');
+      if (!Array.isArray(profile?.newbookHosts) || profile.newbookHosts.some(host => typeof host !== 'string')) {
+        wrongType.push('newbookHosts');
+      }
+      if (profile?.authMode !== undefined && !['basic', 'token'].includes(profile.authMode)) {
+        wrongType.push('authMode');
+      }
+      if (wrongType.length > 0) {
+        errors.push(`${label}: ${wrongType.join(', ')} missing or wrong type`);
+        return;
+      }
+      if (ids.has(profile.id)) {
+        errors.push(`${label}.id: duplicate profile ID "${profile.id}"`);
+      }
+      ids.add(profile.id);
+
+      // The same checks as saving; a left-out password is entered again before saving
+      const checked = passwordsIncluded ? profile : { ...profile, applicationPassword: '-' };
+      const problem = validateProfile(checked);
+      if (problem) {
+        const field = { profileName: 'name', profileNewbookHosts: 'newbookHosts' }[problem.field] || problem.field;
+        errors.push(`${label}.${field}: ${problem.message}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Read an export bundle: check format and signature, decrypt passwords, validate settings
+ * @param {string} text - File contents
+ * @param {string} passphrase - Passphrase (only needed for bundles with encrypted passwords)
+ * @returns {Promise<{settings: Object, passwordsIncluded: boolean}>}
+ * @throws {Error} With a list of problems in `error.problems`
+ */
+async function readSettingsBundle(text, passphrase) {
+  const fail = (problems) => Object.assign(new Error('Settings file not imported'), { problems });
+
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw fail(['The file is not valid JSON']);
+  }
+  if (!bundle || bundle.format !== SETTINGS_BUNDLE_FORMAT) {
+    throw fail(['This is not a NewBook Assistant settings file']);
+  }
+  if (bundle.version !== SETTINGS_BUNDLE_VERSION) {
+    throw fail([`Unsupported settings file version ${bundle.version} (expected ${SETTINGS_BUNDLE_VERSION})`]);
+  }
+
+  const encrypted = bundle.passwords === 'encrypted';
+  let keys = null;
+  if (encrypted) {
+    if (!passphrase) {
+      throw fail(['This file has encrypted passwords - enter its passphrase and import again']);
+    }
+    const { salt, iterations } = bundle.encryption || {};
+    if (typeof salt !== 'string' || !Number.isInteger(iterations)) {
+      throw fail(['encryption: missing salt or iterations']);
+    }
+    // Only this version's iteration count - a file could otherwise ask for any amount of work
+    if (iterations !== SETTINGS_BUNDLE_KDF_ITERATIONS) {
+      throw fail([`encryption.iterations: expected ${SETTINGS_BUNDLE_KDF_ITERATIONS}, found ${iterations}`]);
+    }
+    keys = await deriveBundleKeys(passphrase, base64ToBytes(salt), iterations);
+  }
+
+  if (bundle.signature !== await signBundle(bundle, keys ? keys.signKey : null)) {
+    throw fail([encrypted
+      ? 'Wrong passphrase, or the file has been changed since it was exported'
+      : 'The file has been changed or damaged since it was exported']);
+  }
+
+  const settings = { ...bundle.settings };
+  if (Array.isArray(settings.profiles)) {
+    settings.profiles = await Promise.all(settings.profiles.map(async (profile) => {
+      const secret = profile?.applicationPassword;
+      if (!keys || !secret || typeof secret !== 'object') {
+        return profile;
+      }
+      const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(secret.iv) }, keys.encryptKey, base64ToBytes(secret.data));
+      return { ...profile, applicationPassword: new TextDecoder().decode(data) };
+    }));
+  }
+
+  const problems = validateImportedSettings(settings, encrypted);
+  if (problems.length > 0) {
+    throw fail(problems);
+  }
+  return { settings, passwordsIncluded: encrypted };
+}
+
+// Export the saved settings as a JSON file
+async function exportSettings() {
+  const encrypt = document.querySelector('input[name="exportPasswords"]:checked').value === 'encrypt';
+  const passphrase = elements.transferPassphrase.value;
+  if (encrypt && passphrase.length < SETTINGS_BUNDLE_MIN_PASSPHRASE) {
+    showStatus(`Enter a passphrase of at least ${SETTINGS_BUNDLE_MIN_PASSPHRASE} characters to encrypt the passwords`, 'error');
+    elements.transferPassphrase.focus();
+    return;
+  }
+
+  try {
+    const result = await chrome.storage.sync.get('settings');
+    if (!result.settings) {
+      showStatus('Save your settings before exporting them', 'error');
+      return;
+    }
+
+    const bundle = await buildSettingsBundle(await Credentials.apply(result.settings), encrypt ? passphrase : null);
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `newbook-assistant-settings-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showStatus(encrypt
+      ? 'Settings exported with encrypted passwords - share the passphrase separately'
+      : 'Settings exported without application passwords', 'success');
+  } catch (error) {
+    showStatus('Error exporting settings: ' + error.message, 'error');
+  }
+}
+
+// Import a settings file into the form (saved with "Save Settings" as usual)
+async function importSettings(file) {
+  elements.importErrors.innerHTML = '';
+  elements.importErrors.classList.add('hidden');
+
+  try {
+    const { settings, passwordsIncluded } = await readSettingsBundle(await file.text(), elements.transferPassphrase.value);
+
+    // Passwords left out of the file: keep the ones already entered for the same profiles
+    if (!passwordsIncluded && Array.isArray(settings.profiles)) {
+      storeProfileFields();
+      settings.profiles = settings.profiles.map(profile => {
+        const existing = profiles.find(current => current.id === profile.id);
+        return { ...profile, applicationPassword: existing ? existing.applicationPassword : '' };
+      });
+    }
+
+    fillForm(ManagedSettings.merge(settings, managedSettings));
+    showStatus(passwordsIncluded
+      ? 'Settings imported - check them and click Save Settings'
+      : 'Settings imported without passwords - enter any missing Application Passwords and click Save Settings', 'info');
+  } catch (error) {
+    const problems = error.problems || [error.message];
+    problems.forEach(problem => {
+      const item = document.createElement('li');
+      item.textContent = problem;
+      elements.importErrors.appendChild(item);
+    });
+    elements.importErrors.classList.remove('hidden');
+    showStatus(`Settings file not imported (${problems.length} problem${problems.length === 1 ? '' : 's'})`, 'error');
+  } finally {
+    elements.importFile.value = '';
+  }
+}
+
 // Event listeners
 elements.saveSettings.addEventListener('click', saveSettings);
 elements.testConnection.addEventListener('click', testConnection);
+elements.profileSelect.addEventListener('change', () => selectProfile(parseInt(elements.profileSelect.value)));
+elements.addProfile.addEventListener('click', addProfile);
+elements.removeProfile.addEventListener('click', removeProfile);
+
+// Keep the dropdown in step with the name being typed
+elements.profileName.addEventListener('input', () => {
+  const option = elements.profileSelect.options[selectedProfileIndex];
+  if (option) {
+    option.textContent = elements.profileName.value || `Profile ${selectedProfileIndex + 1}`;
+  }
+});
 
 // Allow Enter key to save settings on text inputs
 [elements.apiRootUrl, elements.username, elements.applicationPassword].forEach(input => {
@@ -223,5 +870,25 @@ elements.testConnection.addEventListener('click', testConnection);
   });
 });
 
-// Load settings on page load
-document.addEventListener('DOMContentLoaded', loadSettings);
+elements.auditSearch.addEventListener('click', loadAuditLog);
+elements.auditBooking.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    loadAuditLog();
+  }
+});
+elements.auditExportJson.addEventListener('click', () => exportAuditLog('json'));
+elements.auditExportCsv.addEventListener('click', () => exportAuditLog('csv'));
+
+elements.exportSettings.addEventListener('click', exportSettings);
+elements.importSettings.addEventListener('click', () => elements.importFile.click());
+elements.importFile.addEventListener('change', () => {
+  if (elements.importFile.files.length > 0) {
+    importSettings(elements.importFile.files[0]);
+  }
+});
+
+// Load settings and audit log on page load
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+  loadAuditLog();
+});
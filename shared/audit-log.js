@@ -0,0 +1,162 @@
+// Audit Log - local record of every write the extension makes to the Booking Match API
+// Shared by the sidepanel (writes entries) and the settings page (viewer/export).
+// Stored in IndexedDB so it isn't limited by chrome.storage quotas.
+
+const AUDIT_LOG_RETENTION_DAYS = 365; // Entries older than this are pruned
+
+// The sidepanel's BMA_LOG; the settings page has none, so errors go to the console there
+const auditLogger = () => (typeof BMA_LOG !== 'undefined' ? BMA_LOG : console);
+
+const AuditLog = {
+  DB_NAME: 'bmaAuditLog',
+  DB_VERSION: 1,
+  STORE: 'entries',
+  _db: null,
+
+  /**
+   * Open (and create on first use) the audit database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._db) return Promise.resolve(this._db);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.createObjectStore(this.STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('hotelBookingId', 'hotelBookingId');
+        store.createIndex('resosBookingId', 'resosBookingId');
+      };
+
+      request.onsuccess = () => {
+        this._db = request.result;
+        resolve(this._db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Compare the values sent with the values they replaced
+   * @param {Object|null} before - Previous values (null if unknown or nothing existed)
+   * @param {Object} after - Values sent to the API
+   * @returns {Object} { field: { from, to } } for every field that was sent
+   */
+  diff(before, after) {
+    const changes = {};
+    Object.keys(after || {}).forEach(field => {
+      const from = before && field in before ? before[field] : null;
+      changes[field] = { from: from, to: after[field] };
+    });
+    return changes;
+  },
+
+  /**
+   * Add an entry
+   * @param {Object} entry - { action, username, hotelBookingId, resosBookingId, endpoint, method, payload, diff, result, message }
+   * @returns {Promise<void>}
+   */
+  async add(entry) {
+    try {
+      const db = await this.open();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(this.STORE, 'readwrite');
+        tx.objectStore(this.STORE).add({
+          timestamp: Date.now(),
+          ...entry,
+          // Stored as strings so one index lookup finds both "12345" and 12345
+          hotelBookingId: entry.hotelBookingId != null ? String(entry.hotelBookingId) : null,
+          resosBookingId: entry.resosBookingId != null ? String(entry.resosBookingId) : null
+        });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    } catch (error) {
+      // Never let auditing break the action itself
+      auditLogger().error('Error writing audit log entry:', error);
+    }
+  },
+
+  /**
+   * Find entries, newest first
+   * @param {Object} filters - { from: Date.now() ms, to: ms, bookingId: NewBook or ResOS booking ID }
+   * @returns {Promise<Array<Object>>}
+   */
+  async query({ from = null, to = null, bookingId = null } = {}) {
+    const db = await this.open();
+    const range = from || to
+      ? IDBKeyRange.bound(from || 0, to || Number.MAX_SAFE_INTEGER)
+      : null;
+
+    const entries = await new Promise((resolve, reject) => {
+      const request = db.transaction(this.STORE).objectStore(this.STORE).index('timestamp').getAll(range);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const bookingFilter = bookingId ? String(bookingId).trim() : null;
+    return entries
+      .filter(entry => !bookingFilter ||
+        entry.hotelBookingId === bookingFilter ||
+        entry.resosBookingId === bookingFilter)
+      .reverse();
+  },
+
+  /**
+   * Delete entries older than the retention period
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    try {
+      const db = await this.open();
+      const cutoff = Date.now() - AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+      return await new Promise((resolve, reject) => {
+        let removed = 0;
+        const tx = db.transaction(this.STORE, 'readwrite');
+        const request = tx.objectStore(this.STORE).index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff));
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            cursor.delete();
+            removed++;
+            cursor.continue();
+          }
+        };
+        tx.oncomplete = () => resolve(removed);
+        tx.onerror = () => reject(tx.error);
+      });
+    } catch (error) {
+      auditLogger().error('Error pruning audit log:', error);
+      return 0;
+    }
+  },
+
+  /**
+   * Convert entries to CSV (one row per entry, diff as JSON)
+   * Cells starting with = + - @ get a leading ' so spreadsheets don't run them as formulas
+   * @param {Array<Object>} entries - Entries from query()
+   * @returns {string}
+   */
+  toCSV(entries) {
+    const columns = ['timestamp', 'action', 'username', 'hotelBookingId', 'resosBookingId', 'method', 'endpoint', 'result', 'message', 'diff', 'payload'];
+    const escapeCell = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => columns.map(column => {
+      if (column === 'timestamp') return new Date(entry.timestamp).toISOString();
+      return escapeCell(entry[column]);
+    }).join(','));
+
+    return [columns.join(','), ...rows].join('\n');
+  }
+};
@@ -0,0 +1,138 @@
+// Booking ID Detectors - every way the content script finds a booking ID in NewBook's pages
+// Each detector names the elements it reads (selector; none for the page address), pulls an ID
+// out of one (extract) and says how far that ID can be trusted (confidence, 0-100). NewBook's
+// markup changes without warning, so detectors can be switched off on the settings page
+// (settings.disabledBookingDetectors) instead of waiting for an update.
+// Loaded by content-script.js (manifest and registered scripts) and the settings page.
+
+const BOOKING_ID_DETECTORS = {
+  url: {
+    label: 'Booking page address (/bookings_view/{id})',
+    selector: null,
+    confidence: 100,
+    extract: () => window.location.href.match(/\/bookings_(?:view|checkin)\/(\d+)/i)?.[1]
+  },
+  'popup-fieldset': {
+    label: 'Booking popups (make_popup_tab fieldsets)',
+    selector: 'fieldset[class*="make_popup_tab"]',
+    confidence: 90,
+    extract: fieldset => String(fieldset.className).match(/make_popup_tab[_-]?(\d+)/i)?.[1]
+  },
+  attribute: {
+    label: 'booking_id and data-booking-id attributes (planner blocks)',
+    selector: '[booking_id], [data-booking-id]',
+    confidence: 80,
+    extract: element => element.getAttribute('booking_id') || element.getAttribute('data-booking-id')
+  },
+  'dialog-title': {
+    label: 'Dialog titles ("Booking #...")',
+    selector: '.ui-dialog',
+    confidence: 70,
+    extract: dialog => {
+      if (dialog.style.display === 'none' || dialog.offsetParent === null) return null;
+      return dialog.querySelector('.ui-dialog-title')?.textContent.match(/Booking #(\d+)/i)?.[1];
+    }
+  },
+  tooltip: {
+    label: 'Booking preview tooltips (easyTooltip_booking_...)',
+    selector: '[id^="easyTooltip_booking" i]',
+    confidence: 60,
+    extract: element => element.id.match(/easyTooltip_booking[_-](\d+)/i)?.[1]
+  },
+  'element-name': {
+    label: 'Class names and element IDs (booking_..., booking-...)',
+    selector: '[class*="booking" i], [id*="booking" i]',
+    confidence: 50,
+    extract: element => (typeof element.className === 'string' && element.className.match(/booking[_-](\d+)/i)?.[1]) ||
+      element.id.match(/booking[_-](\d+)/i)?.[1]
+  },
+  link: {
+    label: 'Links to a booking page',
+    selector: 'a[href*="bookings_view/"]',
+    confidence: 40,
+    extract: link => link.href.match(/bookings_view\/(\d+)/i)?.[1]
+  }
+};
+
+// Confidence added for each further detector that finds the same ID
+const BOOKING_ID_AGREEMENT_BONUS = 10;
+
+const BookingDetectors = {
+  /**
+   * Detectors not switched off in settings
+   * @param {Object|null} settings - Extension settings
+   * @returns {Array<string>} Detector names
+   */
+  enabled(settings) {
+    const disabled = Array.isArray(settings?.disabledBookingDetectors) ? settings.disabledBookingDetectors : [];
+    return Object.keys(BOOKING_ID_DETECTORS).filter(name => !disabled.includes(name));
+  },
+
+  /**
+   * Elements a detector reads: the page (document) or an element - the element itself if it
+   * matches, otherwise its matching descendants
+   */
+  candidates(detector, target) {
+    if (!detector.selector) {
+      return target === document ? [document] : [];
+    }
+    if (target !== document && target.matches(detector.selector)) {
+      return [target];
+    }
+    return Array.from(target.querySelectorAll(detector.selector));
+  },
+
+  /**
+   * Find the booking that part of the page is about
+   * Every listed (and enabled) detector gives its first ID; the most confident ID wins, and each
+   * other detector finding the same ID adds BOOKING_ID_AGREEMENT_BONUS (up to 100)
+   * @param {Document|Element|Array<Element>} targets - The whole page, or the elements to look at
+   * @param {Array<string>} names - Detectors that make sense here (e.g. those for a planner block)
+   * @param {Object|null} settings - Extension settings
+   * @returns {{bookingId: string, source: string, confidence: number}|null} source is the most
+   *          confident detector that found the winning ID
+   */
+  detect(targets, names, settings) {
+    const enabled = this.enabled(settings);
+    const found = new Map(); // Booking ID -> { bookingId, source, confidence, agreeing }
+
+    names.filter(name => enabled.includes(name)).forEach(name => {
+      const detector = BOOKING_ID_DETECTORS[name];
+      let bookingId = null;
+
+      for (const target of (Array.isArray(targets) ? targets : [targets])) {
+        for (const element of this.candidates(detector, target)) {
+          try {
+            bookingId = detector.extract(element) || null;
+          } catch (error) {
+            bookingId = null; // Markup this detector doesn't understand
+          }
+          if (bookingId && /^\d+$/.test(bookingId)) break;
+          bookingId = null;
+        }
+        if (bookingId) break;
+      }
+      if (!bookingId) return;
+
+      const existing = found.get(bookingId);
+      if (!existing) {
+        found.set(bookingId, { bookingId, source: name, confidence: detector.confidence, agreeing: 0 });
+      } else {
+        existing.agreeing++;
+        if (detector.confidence > existing.confidence) {
+          existing.source = name;
+          existing.confidence = detector.confidence;
+        }
+      }
+    });
+
+    let best = null;
+    found.forEach(result => {
+      const confidence = Math.min(100, result.confidence + result.agreeing * BOOKING_ID_AGREEMENT_BONUS);
+      if (!best || confidence > best.confidence) {
+        best = { bookingId: result.bookingId, source: result.source, confidence };
+      }
+    });
+    return best;
+  }
+};
@@ -0,0 +1,367 @@
+// Credentials - application passwords and API tokens, kept out of chrome.storage.sync
+// Passwords stay on this device, in one of three ways (CREDENTIAL_STORAGE_MODES):
+// - 'encrypted': chrome.storage.local, encrypted with a key created on this device (default)
+// - 'device': chrome.storage.local as entered
+// - 'session': chrome.storage.session only, so they're forgotten when the browser closes
+// The device key is a non-extractable AES-GCM key in IndexedDB, so a copy of the extension's
+// storage can't be decrypted on another computer.
+// Profiles with authMode 'token' exchange the password for a short-lived token
+// (POST {apiRootUrl}/auth/token -> { token, expires_in }) and send that instead. Tokens are kept
+// in chrome.storage.session and fetched again when the API answers 401.
+// When the API still answers 401 the profile is paused (no more requests) until credentials are
+// entered again - see the background's SIGN-IN REQUIRED section and the sidepanel's SignInPrompt.
+// Loaded by background.js (importScripts), the sidepanel and the settings page, after
+// shared/profiles.js - never by the content script.
+
+const CREDENTIALS_KEY = 'credentials';
+const AUTH_TOKENS_KEY = 'authTokens';
+const SIGN_IN_PAUSED_KEY = 'signInPausedProfiles';
+const CREDENTIAL_STORAGE_MODES = ['encrypted', 'device', 'session'];
+const DEFAULT_CREDENTIAL_STORAGE = 'encrypted';
+const AUTH_TOKEN_TIMEOUT = 15000;
+const AUTH_TOKEN_DEFAULT_LIFETIME = 15 * 60; // Seconds, when the API doesn't say
+const AUTH_TOKEN_EXPIRY_MARGIN = 30 * 1000; // Fetch a new token this long before it expires
+
+const Credentials = {
+  DB_NAME: 'bmaDeviceKey',
+  DB_VERSION: 1,
+  STORE: 'keys',
+  _key: null,
+  _tokenRequests: new Map(), // Profile ID -> pending token request, so parallel requests share one
+
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  },
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  },
+
+  /**
+   * This device's encryption key (created on first use)
+   * @returns {Promise<CryptoKey>}
+   */
+  async deviceKey() {
+    if (this._key) return this._key;
+
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Generated up front - a transaction can't wait for crypto. Whichever context stores its
+    // key first wins, so every part of the extension ends up with the same one.
+    const generated = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    this._key = await new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE, 'readwrite');
+      const store = tx.objectStore(this.STORE);
+      let key = null;
+      const existing = store.get('device');
+      existing.onsuccess = () => {
+        key = existing.result || generated;
+        if (!existing.result) store.add(generated, 'device');
+      };
+      tx.oncomplete = () => resolve(key);
+      tx.onerror = () => reject(tx.error);
+    });
+    db.close();
+    return this._key;
+  },
+
+  async encrypt(text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await this.deviceKey(), new TextEncoder().encode(text));
+    return { iv: this.toBase64(iv), data: this.toBase64(data) };
+  },
+
+  async decrypt(secret) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(secret.iv) }, await this.deviceKey(), this.fromBase64(secret.data));
+    return new TextDecoder().decode(data);
+  },
+
+  /**
+   * How passwords are kept on this device
+   * @returns {Promise<string>} One of CREDENTIAL_STORAGE_MODES
+   */
+  async storageMode() {
+    const { [CREDENTIALS_KEY]: record } = await chrome.storage.local.get(CREDENTIALS_KEY);
+    return CREDENTIAL_STORAGE_MODES.includes(record?.storage) ? record.storage : DEFAULT_CREDENTIAL_STORAGE;
+  },
+
+  /**
+   * Passwords saved on this device
+   * A password that can't be decrypted (e.g. the device key was cleared) is treated as not saved
+   * @returns {Promise<Object>} Profile ID -> password
+   */
+  async passwords() {
+    const { [CREDENTIALS_KEY]: record } = await chrome.storage.local.get(CREDENTIALS_KEY);
+    if (record?.storage === 'session') {
+      const { [CREDENTIALS_KEY]: session } = await chrome.storage.session.get(CREDENTIALS_KEY);
+      return { ...(session?.passwords || {}) };
+    }
+
+    const passwords = {};
+    for (const [profileId, secret] of Object.entries(record?.passwords || {})) {
+      if (typeof secret === 'string') {
+        passwords[profileId] = secret;
+        continue;
+      }
+      try {
+        passwords[profileId] = await this.decrypt(secret);
+      } catch (error) {
+        console.warn(`[NewBook Assistant] Saved password of profile ${profileId} can't be decrypted - enter it again`);
+      }
+    }
+    return passwords;
+  },
+
+  /**
+   * Replace the saved passwords (profiles left out are forgotten) and drop any tokens
+   * @param {Object} passwords - Profile ID -> password
+   * @param {string} storage - One of CREDENTIAL_STORAGE_MODES
+   * @returns {Promise<void>}
+   */
+  async save(passwords, storage = DEFAULT_CREDENTIAL_STORAGE) {
+    const kept = Object.fromEntries(Object.entries(passwords).filter(([, password]) => password));
+
+    if (storage === 'session') {
+      await chrome.storage.session.set({ [CREDENTIALS_KEY]: { passwords: kept } });
+      await chrome.storage.local.set({ [CREDENTIALS_KEY]: { storage } });
+    } else {
+      const secrets = {};
+      for (const [profileId, password] of Object.entries(kept)) {
+        secrets[profileId] = storage === 'encrypted' ? await this.encrypt(password) : password;
+      }
+      await chrome.storage.local.set({ [CREDENTIALS_KEY]: { storage, passwords: secrets } });
+      await chrome.storage.session.remove(CREDENTIALS_KEY);
+    }
+    await chrome.storage.session.remove(AUTH_TOKENS_KEY);
+  },
+
+  /**
+   * Settings with this device's passwords filled in (in memory only - never save the result
+   * to chrome.storage.sync or put it in a message)
+   * @param {Object|null} settings - Settings as loaded (see ManagedSettings.load)
+   * @returns {Promise<Object|null>}
+   */
+  async apply(settings) {
+    if (!settings) return settings;
+    const passwords = await this.passwords();
+    const profiles = (settings.profiles || []).map(profile => ({
+      ...profile,
+      // Settings not migrated yet still have the password in them
+      applicationPassword: passwords[profile.id] || profile.applicationPassword || ''
+    }));
+    const firstId = profiles.length > 0 ? profiles[0].id : DEFAULT_PROFILE_ID;
+    return {
+      ...settings,
+      applicationPassword: passwords[firstId] || settings.applicationPassword || '',
+      profiles
+    };
+  },
+
+  /**
+   * Settings without any passwords, for chrome.storage.sync and messages
+   * @param {Object} settings - Settings
+   * @returns {Object}
+   */
+  strip(settings) {
+    return {
+      ...settings,
+      applicationPassword: '',
+      profiles: (settings.profiles || []).map(profile => ({ ...profile, applicationPassword: '' }))
+    };
+  },
+
+  /**
+   * Move passwords saved by earlier versions out of chrome.storage.sync
+   * @returns {Promise<boolean>} True if any were moved
+   */
+  async migrate() {
+    const { settings: stored } = await chrome.storage.sync.get('settings');
+    if (!stored) return false;
+
+    const legacy = {};
+    Profiles.list(stored).forEach(profile => {
+      if (profile.applicationPassword) legacy[profile.id] = profile.applicationPassword;
+    });
+    if (Object.keys(legacy).length === 0) return false;
+
+    // Passwords already saved on this device win
+    await this.save({ ...legacy, ...await this.passwords() }, await this.storageMode());
+    await chrome.storage.sync.set({ settings: this.strip(stored) });
+    return true;
+  },
+
+  /**
+   * Basic authorization header for a profile
+   * @param {Object} profile - { username, applicationPassword }
+   * @returns {string}
+   */
+  basic(profile) {
+    return 'Basic ' + btoa(`${profile.username}:${profile.applicationPassword}`);
+  },
+
+  /**
+   * Exchange a profile's password for a token
+   * @param {Object} profile - { apiRootUrl, username, applicationPassword }
+   * @returns {Promise<{token: string, expiresAt: number}>}
+   * @throws {Error} With `status` (HTTP status or 0) and `code` ('http', 'timeout', 'network')
+   */
+  async requestToken(profile) {
+    let response;
+    try {
+      response = await fetch(`${profile.apiRootUrl}/auth/token`, {
+        method: 'POST',
+        headers: {
+          'Authorization': this.basic(profile),
+          'Content-Type': 'application/json'
+        },
+        signal: AbortSignal.timeout(AUTH_TOKEN_TIMEOUT)
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError';
+      throw Object.assign(new Error(timedOut
+        ? `Sign-in timed out after ${AUTH_TOKEN_TIMEOUT / 1000} seconds`
+        : 'Cannot reach the Booking Match API. Check your network connection.'), {
+        status: 0,
+        code: timedOut ? 'timeout' : 'network'
+      });
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data || typeof data.token !== 'string') {
+      throw Object.assign(new Error((data && data.message) || `Sign-in failed with status ${response.status}`), {
+        status: response.ok ? 0 : response.status,
+        code: 'http'
+      });
+    }
+    const lifetime = Number(data.expires_in) > 0 ? Number(data.expires_in) : AUTH_TOKEN_DEFAULT_LIFETIME;
+    return { token: data.token, expiresAt: Date.now() + lifetime * 1000 };
+  },
+
+  /**
+   * Authorization header for a request, fetching a token first if the profile uses them
+   * @param {Object} profile - Profile (see shared/profiles.js) with its password filled in
+   * @returns {Promise<string>}
+   * @throws {Error} From requestToken()
+   */
+  async authorization(profile) {
+    if (profile.authMode !== 'token') {
+      return this.basic(profile);
+    }
+
+    const { [AUTH_TOKENS_KEY]: tokens = {} } = await chrome.storage.session.get(AUTH_TOKENS_KEY);
+    const cached = tokens[profile.id];
+    if (cached && cached.expiresAt - AUTH_TOKEN_EXPIRY_MARGIN > Date.now()) {
+      return `Bearer ${cached.token}`;
+    }
+
+    if (!this._tokenRequests.has(profile.id)) {
+      const pending = this.requestToken(profile).then(async (token) => {
+        const { [AUTH_TOKENS_KEY]: current = {} } = await chrome.storage.session.get(AUTH_TOKENS_KEY);
+        await chrome.storage.session.set({ [AUTH_TOKENS_KEY]: { ...current, [profile.id]: token } });
+        return token;
+      }).finally(() => this._tokenRequests.delete(profile.id));
+      this._tokenRequests.set(profile.id, pending);
+    }
+    return `Bearer ${(await this._tokenRequests.get(profile.id)).token}`;
+  },
+
+  /**
+   * Check a profile's credentials against the API ("Test Connection", and signing in again
+   * from the sidepanel). Token profiles sign in first, so the token exchange is tested too.
+   * @param {Object} profile - { apiRootUrl, username, applicationPassword, authMode }
+   * @returns {Promise<{ok: boolean, type: string, message: string}>} ok when the credentials
+   *          were accepted; type is the status style ('success', 'info' or 'error')
+   */
+  async check(profile) {
+    const fail = (message) => ({ ok: false, type: 'error', message });
+
+    try {
+      let authorization = this.basic(profile);
+      if (profile.authMode === 'token') {
+        try {
+          authorization = `Bearer ${(await this.requestToken(profile)).token}`;
+        } catch (error) {
+          return fail(error.status === 401
+            ? 'Authentication failed. Check your username and password.'
+            : `Token sign-in failed: ${error.message}`);
+        }
+      }
+
+      // Test with a simple endpoint (summary)
+      const response = await fetch(`${profile.apiRootUrl}/summary?context=chrome-summary`, {
+        method: 'GET',
+        headers: {
+          'Authorization': authorization,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        return data.success !== undefined
+          ? { ok: true, type: 'success', message: 'Connection successful! API is responding correctly.' }
+          : { ok: true, type: 'info', message: 'Connected, but unexpected response format' };
+      }
+      if (response.status === 401) {
+        return fail('Authentication failed. Check your username and password.');
+      }
+      if (response.status === 404) {
+        return fail('API endpoint not found. Check your API URL.');
+      }
+      return fail(`Connection failed with status ${response.status}`);
+    } catch (error) {
+      return fail(error.message.includes('Failed to fetch')
+        ? 'Cannot reach API server. Check the URL and network connection.'
+        : 'Error testing connection: ' + error.message);
+    }
+  },
+
+  /**
+   * Profiles whose credentials the API rejected (kept until the browser closes)
+   * @returns {Promise<Array<string>>} Profile IDs
+   */
+  async pausedProfiles() {
+    const { [SIGN_IN_PAUSED_KEY]: profileIds = [] } = await chrome.storage.session.get(SIGN_IN_PAUSED_KEY);
+    return profileIds;
+  },
+
+  /**
+   * Stop requests for a profile until credentials are entered again
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<boolean>} False if it was already paused
+   */
+  async pause(profileId) {
+    const profileIds = await this.pausedProfiles();
+    if (profileIds.includes(profileId)) return false;
+    await chrome.storage.session.set({ [SIGN_IN_PAUSED_KEY]: [...profileIds, profileId] });
+    return true;
+  },
+
+  /**
+   * Let a paused profile try again (its credentials were entered again)
+   * Other profiles stay paused until theirs are
+   * @param {string} profileId - Profile ID
+   */
+  async resume(profileId) {
+    const profileIds = await this.pausedProfiles();
+    if (!profileIds.includes(profileId)) return;
+    await chrome.storage.session.set({ [SIGN_IN_PAUSED_KEY]: profileIds.filter(id => id !== profileId) });
+  },
+
+  /**
+   * Drop a profile's token (the API rejected it) so the next request fetches a new one
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<void>}
+   */
+  async forgetToken(profileId) {
+    const { [AUTH_TOKENS_KEY]: tokens = {} } = await chrome.storage.session.get(AUTH_TOKENS_KEY);
+    if (!(profileId in tokens)) return;
+    delete tokens[profileId];
+    await chrome.storage.session.set({ [AUTH_TOKENS_KEY]: tokens });
+  }
+};
@@ -0,0 +1,138 @@
+// Settings Defaults and Managed Policy
+// DEFAULT_SETTINGS fill in anything not saved yet. Administrators can push settings through
+// Chrome policy (chrome.storage.managed, schema in managed_schema.json); policy values win over
+// both the defaults and what's saved, and are shown locked on the settings page.
+// Loaded by every part of the extension, after shared/newbook-hosts.js.
+
+const DEFAULT_SETTINGS = {
+  apiRootUrl: '',
+  username: '',
+  applicationPassword: '',
+  enableSidebarOnNewBook: true,
+  newbookHosts: DEFAULT_NEWBOOK_HOSTS.slice(),
+  recentBookingsCount: 10,
+  summaryRefreshRate: 60,
+  enablePlannerClickUpdate: true,
+  enablePlannerBadges: true,
+  plannerPreviewDelay: 600,
+  enableBookingStrip: true,
+  disabledBookingDetectors: ['tooltip'], // shared/booking-detectors.js
+  highlightNewestMinutes: 60,
+  inactivityTimeout: 60,
+  pauseInactivityWhenFormOpen: true,
+  autoRefreshOnStaleCache: true,
+  enableDesktopNotifications: true,
+  enableDebugLogging: false,
+  profiles: []
+};
+
+// Settings a policy can set (keep in step with managed_schema.json). apiRootUrl and username
+// apply to the first property profile.
+const MANAGED_SETTING_KEYS = [
+  'apiRootUrl',
+  'username',
+  'enableSidebarOnNewBook',
+  'newbookHosts',
+  'recentBookingsCount',
+  'summaryRefreshRate',
+  'enablePlannerClickUpdate',
+  'enablePlannerBadges',
+  'plannerPreviewDelay',
+  'enableBookingStrip',
+  'disabledBookingDetectors',
+  'highlightNewestMinutes',
+  'inactivityTimeout',
+  'pauseInactivityWhenFormOpen',
+  'autoRefreshOnStaleCache',
+  'enableDesktopNotifications',
+  'enableDebugLogging'
+];
+
+const ManagedSettings = {
+  /**
+   * Policy values (none if no policy is set)
+   * Values of the wrong type are ignored rather than breaking the extension
+   * @returns {Promise<Object>} Setting -> value
+   */
+  async get() {
+    let values;
+    try {
+      values = await chrome.storage.managed.get(MANAGED_SETTING_KEYS);
+    } catch (error) {
+      return {};
+    }
+
+    const managed = {};
+    Object.entries(values || {}).forEach(([key, value]) => {
+      if (!MANAGED_SETTING_KEYS.includes(key)) return;
+      const expected = DEFAULT_SETTINGS[key];
+      const valid = Array.isArray(expected) ? Array.isArray(value) : typeof value === typeof expected;
+      if (valid) {
+        managed[key] = value;
+      } else {
+        console.warn(`[NewBook Assistant] Ignoring managed setting ${key} - expected ${Array.isArray(expected) ? 'a list' : typeof expected}`);
+      }
+    });
+    return managed;
+  },
+
+  /**
+   * Defaults, then saved settings, then policy values
+   * @param {Object|null} stored - Saved settings (chrome.storage.sync)
+   * @param {Object} managed - Policy values from get()
+   * @returns {Object} Settings
+   */
+  merge(stored, managed) {
+    const settings = { ...DEFAULT_SETTINGS, ...(stored || {}), ...managed };
+
+    if (settings.profiles.length > 0) {
+      const [first, ...others] = settings.profiles;
+      const locked = {};
+      ['apiRootUrl', 'username'].forEach(key => {
+        if (key in managed) locked[key] = managed[key];
+      });
+      settings.profiles = [{ ...first, ...locked }, ...others];
+    }
+    return settings;
+  },
+
+  /**
+   * Settings to save, without policy values - merge() adds those when loading, so saved they
+   * would outlast the policy. Managed settings keep what was saved before instead.
+   * @param {Object} settings - Settings as edited (policy values included)
+   * @param {Object} managed - Policy values from get()
+   * @param {Object|null} stored - Saved settings (chrome.storage.sync)
+   * @returns {Object} Settings for chrome.storage.sync
+   */
+  unmanaged(settings, managed, stored) {
+    const result = { ...settings };
+    Object.keys(managed).forEach(key => {
+      if (stored && key in stored) {
+        result[key] = stored[key];
+      } else {
+        delete result[key];
+      }
+    });
+
+    if (Array.isArray(result.profiles) && result.profiles.length > 0) {
+      const [first, ...others] = result.profiles;
+      const storedFirst = (stored?.profiles || []).find(profile => profile.id === first.id);
+      const unlocked = {};
+      ['apiRootUrl', 'username'].forEach(key => {
+        if (key in managed) unlocked[key] = storedFirst?.[key] ?? '';
+      });
+      result.profiles = [{ ...first, ...unlocked }, ...others];
+    }
+    return result;
+  },
+
+  /**
+   * Load the settings every part of the extension works with
+   * @returns {Promise<{settings: Object, managed: Object, saved: boolean}>} saved is false
+   *          until settings have been saved on this browser profile
+   */
+  async load() {
+    const [result, managed] = await Promise.all([chrome.storage.sync.get('settings'), this.get()]);
+    return { settings: this.merge(result.settings, managed), managed, saved: !!result.settings };
+  }
+};
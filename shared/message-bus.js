@@ -0,0 +1,297 @@
+// Message Bus - typed messages between the content script, background and sidepanel
+// Every message is declared once in MESSAGE_TYPES. Senders and receivers validate payloads
+// against it, request/response pairs time out instead of hanging, and with debug logging
+// enabled every message in and out is traced to the console (and kept in MessageBus.traceLog).
+// Loaded by content-script.js (manifest), background.js (importScripts), the sidepanel and
+// the settings page.
+//
+// Messages keep the { action, ...payload } shape. `windowId` may be added to any message to
+// address the sidepanel of one window only (see MessageBus.init).
+
+/**
+ * Declared message types
+ * payload: field -> type ('string', 'number', 'boolean', 'object', 'array' or 'id' for a booking
+ *          ID given as a number or numeric string); a trailing '?' makes the field optional
+ * request: true when the sender waits for a response (see MessageBus.request)
+ */
+const MESSAGE_TYPES = {
+  // Content script -> background -> sidepanel of the same window
+  bookingDetected: { payload: { bookingId: 'id', url: 'string?', source: 'string?' } },
+  plannerClick: { payload: { bookingId: 'id', source: 'string?' } },
+
+  // Content script -> background -> every sidepanel
+  sessionLockChanged: { payload: { isLocked: 'boolean' } },
+
+  // Content script -> background (responds { opened }); tab: sidepanel tab to show
+  openSidePanel: { payload: { tab: 'string?' }, request: true },
+
+  // Content script -> background (responds { badges: { bookingId: { restaurant, missingDinner, checksFailed } } })
+  plannerBadges: { payload: { bookingIds: 'array' }, request: true },
+
+  // Content script -> background (responds { preview }) - planner hover card and booking page strip
+  bookingPreview: { payload: { bookingId: 'id' }, request: true },
+
+  // Sidepanel -> background -> content script of that window
+  sidepanelClosed: { payload: {} },
+  showOpenButton: { payload: {} },
+
+  // Background -> sidepanel (keyboard shortcuts)
+  panelCommand: { payload: { command: 'string' } },
+
+  // Background -> sidepanel of one window (tab now shows another hotel's NewBook)
+  profileDetected: { payload: { profileId: 'string' } },
+
+  // Background -> sidepanel of one window (opened from the booking page strip)
+  showTab: { payload: { tab: 'string' } },
+
+  // Background -> every sidepanel (the API rejected a profile's credentials - requests paused)
+  authRequired: { payload: { profileId: 'string' } },
+
+  // Settings page -> background and sidepanels; background -> content scripts
+  settingsUpdated: { payload: { settings: 'object' } }
+};
+
+const MESSAGE_BUS_DEFAULT_TIMEOUT = 5000;
+const MESSAGE_BUS_TRACE_MAX = 200;
+
+class MessageBusError extends Error {
+  constructor(message, { action = '', code = 'invalid' } = {}) {
+    super(message);
+    this.name = 'MessageBusError';
+    this.action = action;
+    this.code = code; // 'invalid', 'unknown-type', 'timeout', 'no-receiver', 'handler'
+  }
+}
+
+const MessageBus = {
+  context: 'unknown',
+  windowId: null,
+  windowPending: false, // Window not known yet - messages addressed to any window are ignored
+  tracing: false,
+  traceLog: [],
+  handlers: new Map(), // action -> { handler, senders }
+  listening: false,
+
+  /**
+   * Set up the bus for this context
+   * @param {Object} options
+   * @param {string} options.context - 'background', 'content', 'sidepanel' or 'settings' (for traces)
+   * @param {number|null} options.windowId - Sidepanel window; messages addressed to other windows are ignored
+   * @param {boolean} options.trace - Log every message (normally settings.enableDebugLogging)
+   */
+  init({ context, windowId = null, trace = false } = {}) {
+    this.context = context || this.context;
+    this.windowId = windowId;
+    this.windowPending = false;
+    this.tracing = !!trace;
+  },
+
+  /**
+   * Ignore messages addressed to a window until init() gives this context's window
+   * (a sidepanel registers its handlers before it can ask which window it's in)
+   */
+  awaitWindow() {
+    this.windowPending = true;
+  },
+
+  setTrace(enabled) {
+    this.tracing = !!enabled;
+  },
+
+  trace(direction, action, message) {
+    if (!this.tracing) return;
+    this.traceLog.push({ time: Date.now(), direction, action, message });
+    if (this.traceLog.length > MESSAGE_BUS_TRACE_MAX) {
+      this.traceLog.shift();
+    }
+    console.debug(`[bus:${this.context}] ${direction} ${action}`, message);
+  },
+
+  /**
+   * Check a message against its declared type
+   * @param {Object} message - { action, ...payload }
+   * @returns {string|null} Problem description, or null if valid
+   */
+  validate(message) {
+    if (!message || typeof message.action !== 'string') {
+      return 'message has no action';
+    }
+    const type = MESSAGE_TYPES[message.action];
+    if (!type) {
+      return `unknown message type '${message.action}'`;
+    }
+    if (message.windowId !== undefined && message.windowId !== null && typeof message.windowId !== 'number') {
+      return 'windowId must be a number';
+    }
+
+    for (const [field, declared] of Object.entries(type.payload)) {
+      const optional = declared.endsWith('?');
+      const expected = optional ? declared.slice(0, -1) : declared;
+      const value = message[field];
+
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return `'${field}' is required`;
+      }
+      if (expected === 'id') {
+        if (!/^\d+$/.test(String(value))) return `'${field}' must be a booking ID`;
+      } else if (expected === 'object') {
+        if (typeof value !== 'object' || Array.isArray(value)) return `'${field}' must be an object`;
+      } else if (expected === 'array') {
+        if (!Array.isArray(value)) return `'${field}' must be a list`;
+      } else if (typeof value !== expected) {
+        return `'${field}' must be a ${expected}`;
+      }
+    }
+    return null;
+  },
+
+  // Build and validate an outgoing message
+  build(action, payload, windowId) {
+    const message = { action, ...payload };
+    if (windowId !== undefined && windowId !== null) {
+      message.windowId = windowId;
+    }
+    const problem = this.validate(message);
+    if (problem) {
+      const code = MESSAGE_TYPES[action] ? 'invalid' : 'unknown-type';
+      throw new MessageBusError(`Invalid ${action} message: ${problem}`, { action, code });
+    }
+    return message;
+  },
+
+  /**
+   * Send a one-way message to the extension (background, sidepanels, settings page)
+   * Nobody listening (e.g. sidepanel closed) is not an error
+   * @param {string} action - Declared message type
+   * @param {Object} payload - Message fields
+   * @param {Object} options - { windowId: address the sidepanel of one window }
+   * @returns {Promise<void>}
+   */
+  async send(action, payload = {}, { windowId = null } = {}) {
+    const message = this.build(action, payload, windowId);
+    this.trace('→', action, message);
+    try {
+      await chrome.runtime.sendMessage(message);
+    } catch (error) {
+      this.trace('✕', action, error.message);
+    }
+  },
+
+  /**
+   * Send a one-way message to the content script in a tab
+   * @param {number} tabId - Tab ID
+   * @param {string} action - Declared message type
+   * @param {Object} payload - Message fields
+   * @returns {Promise<void>}
+   */
+  async sendToTab(tabId, action, payload = {}) {
+    const message = this.build(action, payload, null);
+    this.trace(`→ tab ${tabId}`, action, message);
+    try {
+      await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      this.trace('✕', action, error.message);
+    }
+  },
+
+  /**
+   * Send a message and wait for the receiver's response
+   * @param {string} action - Declared request type
+   * @param {Object} payload - Message fields
+   * @param {Object} options - { timeout: ms, tabId: send to a tab's content script instead }
+   * @returns {Promise<*>} The handler's return value
+   * @throws {MessageBusError} On timeout, no receiver or an error in the handler
+   */
+  async request(action, payload = {}, { timeout = MESSAGE_BUS_DEFAULT_TIMEOUT, tabId = null } = {}) {
+    const message = this.build(action, payload, null);
+    this.trace('⇄', action, message);
+
+    let timeoutId;
+    const timedOut = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(new MessageBusError(`No response to ${action} after ${timeout}ms`, { action, code: 'timeout' }));
+      }, timeout);
+    });
+
+    try {
+      const sending = tabId !== null ? chrome.tabs.sendMessage(tabId, message) : chrome.runtime.sendMessage(message);
+      const response = await Promise.race([sending, timedOut]);
+
+      if (!response) {
+        throw new MessageBusError(`No receiver for ${action}`, { action, code: 'no-receiver' });
+      }
+      if (!response.ok) {
+        throw new MessageBusError(response.error || `${action} failed`, { action, code: 'handler' });
+      }
+      this.trace('←', action, response.data);
+      return response.data;
+    } catch (error) {
+      this.trace('✕', action, error.message);
+      if (error instanceof MessageBusError) throw error;
+      throw new MessageBusError(error.message, { action, code: 'no-receiver' });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+
+  /**
+   * Handle a message type in this context (one handler per type)
+   * For request types the handler's return value (or resolved promise) is the response
+   * @param {string} action - Declared message type
+   * @param {Function} handler - (message, sender) => response
+   * @param {Object} options - { senders: 'any', 'tabs' (content scripts only) or 'extension' (extension pages/background only) }
+   */
+  on(action, handler, { senders = 'any' } = {}) {
+    if (!MESSAGE_TYPES[action]) {
+      throw new MessageBusError(`Cannot handle unknown message type '${action}'`, { action, code: 'unknown-type' });
+    }
+    this.handlers.set(action, { handler, senders });
+
+    if (!this.listening) {
+      this.listening = true;
+      chrome.runtime.onMessage.addListener((message, sender, sendResponse) => this.dispatch(message, sender, sendResponse));
+    }
+  },
+
+  // Single chrome.runtime.onMessage listener for the context
+  // Only returns true (keeping the channel open) when a response will actually be sent
+  dispatch(message, sender, sendResponse) {
+    const entry = message && this.handlers.get(message.action);
+    if (!entry) return false;
+
+    if (entry.senders === 'tabs' && !sender.tab) return false;
+    if (entry.senders === 'extension' && sender.tab) return false;
+
+    if (message.windowId !== undefined && message.windowId !== null &&
+        (this.windowPending || (this.windowId !== null && message.windowId !== this.windowId))) {
+      this.trace('⊘', message.action, `for window ${message.windowId}`);
+      return false;
+    }
+
+    const problem = this.validate(message);
+    if (problem) {
+      console.warn(`[bus:${this.context}] Ignoring invalid ${message.action} message: ${problem}`, message);
+      return false;
+    }
+
+    this.trace('←', message.action, message);
+
+    const isRequest = MESSAGE_TYPES[message.action].request === true;
+    let result;
+    try {
+      result = entry.handler(message, sender);
+    } catch (error) {
+      console.error(`[bus:${this.context}] Error handling ${message.action}:`, error);
+      if (isRequest) sendResponse({ ok: false, error: error.message });
+      return false;
+    }
+
+    if (!isRequest) return false;
+
+    Promise.resolve(result)
+      .then(data => sendResponse({ ok: true, data: data === undefined ? null : data }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+};
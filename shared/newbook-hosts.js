@@ -0,0 +1,112 @@
+// NewBook Hosts - which sites count as NewBook, and where deep links point
+// The hosts come from settings.newbookHosts (origins, e.g. 'https://appau.newbook.cloud').
+// The first host is the one links are opened on; the others (e.g. the login site) are only
+// recognised. Hosts other than the defaults need an optional host permission, granted from
+// the settings page, and get the content script through chrome.scripting (see background.js).
+// Loaded by background.js (importScripts), the sidepanel and the settings page.
+
+// Built into the manifest (host_permissions and content_scripts)
+const DEFAULT_NEWBOOK_HOSTS = [
+  'https://appeu.newbook.cloud',
+  'https://login.newbook.cloud'
+];
+
+const NewBookHosts = {
+  /**
+   * Turn user input into an origin
+   * @param {string} input - e.g. 'appau.newbook.cloud' or 'https://appau.newbook.cloud/planner'
+   * @returns {string|null} 'https://host' or null if it isn't a valid HTTPS address
+   */
+  normalize(input) {
+    const text = String(input || '').trim();
+    if (!text) return null;
+
+    try {
+      const url = new URL(/^[a-z]+:\/\//i.test(text) ? text : `https://${text}`);
+      return url.protocol === 'https:' ? url.origin : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Configured hosts (defaults if none are set), followed by any extra sites of property
+   * profiles (shared/profiles.js)
+   * @param {Object|null} settings - Extension settings
+   * @returns {Array<string>} Origins
+   */
+  list(settings) {
+    const configured = Array.isArray(settings?.newbookHosts) ? settings.newbookHosts : [];
+    const hosts = configured.map(host => this.normalize(host)).filter(Boolean);
+    const profileHosts = (Array.isArray(settings?.profiles) ? settings.profiles : [])
+      .flatMap(profile => profile.newbookHosts || [])
+      .map(host => this.normalize(host))
+      .filter(Boolean);
+    return [...new Set([...(hosts.length > 0 ? hosts : DEFAULT_NEWBOOK_HOSTS), ...profileHosts])];
+  },
+
+  /**
+   * Hosts that need an optional permission and a dynamically registered content script
+   * @param {Object|null} settings - Extension settings
+   * @returns {Array<string>} Origins
+   */
+  extra(settings) {
+    return this.list(settings).filter(host => !DEFAULT_NEWBOOK_HOSTS.includes(host));
+  },
+
+  /**
+   * Host deep links are built on
+   * @param {Object|null} settings - Extension settings
+   * @returns {string} Origin
+   */
+  primary(settings) {
+    return this.list(settings)[0];
+  },
+
+  /**
+   * Match patterns for chrome.tabs.query, permissions and content scripts
+   * @param {Array<string>} hosts - Origins
+   * @returns {Array<string>} e.g. ['https://appeu.newbook.cloud/*']
+   */
+  matchPatterns(hosts) {
+    return hosts.map(host => `${host}/*`);
+  },
+
+  /**
+   * Is this URL on one of the configured NewBook hosts?
+   * @param {string} url - Page URL
+   * @param {Object|null} settings - Extension settings
+   * @returns {boolean}
+   */
+  isNewBookUrl(url, settings) {
+    try {
+      return this.list(settings).includes(new URL(url).origin);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Does a cookie domain (e.g. '.newbook.cloud') apply to one of the configured hosts?
+   * @param {string} domain - chrome.cookies Cookie.domain
+   * @param {Object|null} settings - Extension settings
+   * @returns {boolean}
+   */
+  matchesCookieDomain(domain, settings) {
+    const bare = String(domain || '').replace(/^\./, '');
+    return this.list(settings).some(host => {
+      const hostname = new URL(host).hostname;
+      return hostname === bare || hostname.endsWith(`.${bare}`);
+    });
+  },
+
+  /**
+   * Deep link to a booking on the primary host
+   * @param {number|string} bookingId - NewBook booking ID
+   * @param {Object|null} settings - Extension settings
+   * @returns {string}
+   */
+  bookingUrl(bookingId, settings) {
+    return `${this.primary(settings)}/bookings_view/${bookingId}`;
+  }
+};
@@ -0,0 +1,118 @@
+// Property Profiles - one Booking Match API (and NewBook site) per hotel
+// settings.profiles holds [{ id, name, apiRootUrl, username, applicationPassword, authMode, newbookHosts, hotelName }].
+// Settings saved before profiles existed have none; their top-level API fields are treated as a
+// single 'default' profile. Everything else in settings is shared by all profiles.
+// applicationPassword is only filled in once shared/credentials.js has applied this device's
+// passwords; authMode is 'basic' (password on every request) or 'token'.
+// Loaded by background.js (importScripts), the sidepanel and the settings page.
+
+const DEFAULT_PROFILE_ID = 'default';
+
+const Profiles = {
+  /**
+   * All profiles (a single default profile for settings without any)
+   * @param {Object|null} settings - Extension settings
+   * @returns {Array<Object>} Profiles
+   */
+  list(settings) {
+    if (Array.isArray(settings?.profiles) && settings.profiles.length > 0) {
+      return settings.profiles;
+    }
+    return [{
+      id: DEFAULT_PROFILE_ID,
+      name: 'Default',
+      apiRootUrl: settings?.apiRootUrl || '',
+      username: settings?.username || '',
+      applicationPassword: settings?.applicationPassword || '',
+      authMode: 'basic',
+      newbookHosts: [],
+      hotelName: ''
+    }];
+  },
+
+  /**
+   * A profile by ID, falling back to the first one
+   * @param {Object|null} settings - Extension settings
+   * @param {string|null} profileId - Profile ID
+   * @returns {Object} Profile
+   */
+  get(settings, profileId) {
+    const profiles = this.list(settings);
+    return profiles.find(profile => profile.id === profileId) || profiles[0];
+  },
+
+  /**
+   * Settings as seen by one profile: its API credentials, and its own NewBook sites first
+   * so deep links open on them
+   * @param {Object|null} settings - Extension settings
+   * @param {string|null} profileId - Profile ID
+   * @returns {Object} Settings with apiRootUrl, username, applicationPassword, authMode and profileId set
+   */
+  resolve(settings, profileId) {
+    const profile = this.get(settings, profileId);
+    const hosts = [...(profile.newbookHosts || []), ...(settings?.newbookHosts || [])];
+    return {
+      ...settings,
+      apiRootUrl: profile.apiRootUrl,
+      username: profile.username,
+      applicationPassword: profile.applicationPassword,
+      authMode: profile.authMode || 'basic',
+      newbookHosts: hosts.length > 0 ? [...new Set(hosts)] : undefined,
+      profileId: profile.id
+    };
+  },
+
+  /**
+   * Whether a profile has everything needed to call its API
+   * @param {Object} profile - Profile
+   * @returns {boolean}
+   */
+  isConfigured(profile) {
+    return !!(profile?.apiRootUrl && profile.username && profile.applicationPassword);
+  },
+
+  /**
+   * Pick the profile for a NewBook tab
+   * The hotel name in the tab title counts for more than the site, since one NewBook site
+   * (e.g. appeu.newbook.cloud) can host several hotels
+   * @param {Object|null} settings - Extension settings
+   * @param {Object} tab - { url, title }
+   * @returns {string|null} Profile ID, or null if nothing points at a particular profile
+   */
+  match(settings, { url = '', title = '' } = {}) {
+    let origin = null;
+    try {
+      origin = new URL(url).origin;
+    } catch (error) {
+      // Not a URL - only the title can match
+    }
+
+    let best = null;
+    let bestScore = 0;
+    this.list(settings).forEach(profile => {
+      let score = 0;
+      if (profile.hotelName && title.toLowerCase().includes(profile.hotelName.toLowerCase())) {
+        score += 2;
+      }
+      if (origin && (profile.newbookHosts || []).includes(origin)) {
+        score += 1;
+      }
+      if (score > bestScore) {
+        best = profile;
+        bestScore = score;
+      }
+    });
+    return best ? best.id : null;
+  },
+
+  /**
+   * Storage key for data kept per profile
+   * The default profile keeps the plain key, so data saved before profiles existed is kept
+   * @param {string} base - Key used before profiles existed
+   * @param {string|null} profileId - Profile ID
+   * @returns {string}
+   */
+  storageKey(base, profileId) {
+    return !profileId || profileId === DEFAULT_PROFILE_ID ? base : `${base}:${profileId}`;
+  }
+};
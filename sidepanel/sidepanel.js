@@ -2,6 +2,7 @@
 const STATE = {
   currentTab: 'summary',
   currentBookingId: null,
+  bookingGeneration: 0, // Bumped on every booking change so late responses for the old booking are discarded
   settings: null,
   badges: {
     summary: { critical: 0, warning: 0 },
@@ -46,7 +47,10 @@ const STATE = {
     staying: 0
   }, // Track scroll positions per tab/date
   restaurantBookings: {}, // Store restaurant bookings by date: { '2026-01-31': [{time, people, name, room}, ...] }
-  stayingDate: new Date().toISOString().split('T')[0] // Current date for staying tab
+  stayingDate: new Date().toISOString().split('T')[0], // Current date for staying tab
+  windowId: null, // Browser window this panel belongs to (messages for other windows are ignored)
+  profileId: null, // Property profile shown (shared/profiles.js) - caches, pins and badges are per profile
+  storedSettings: null // Settings as saved, for every profile (STATE.settings is resolved for profileId)
   // activeGroupFilter moved to window.activeGroupFilter (managed by inline API template script)
 };
 
@@ -80,6 +84,66 @@ window.apiClient = null;
 // Navigation Helper Functions
 // =============================================================================
 
+/**
+ * Make a booking the current one, invalidating loads still running for the previous booking
+ * @param {number|string} bookingId - Booking ID
+ * @returns {boolean} True if this is a different booking to the one already shown
+ */
+function setCurrentBooking(bookingId) {
+  const changed = String(STATE.currentBookingId) !== String(bookingId);
+
+  if (changed) {
+    BMA_LOG.log('Booking changed from', STATE.currentBookingId, 'to', bookingId, '- clearing loaded tracking');
+    STATE.loadedBookingIds.restaurant = null;
+    STATE.loadedBookingIds.checks = null;
+
+    // Abandon any half-finished loads for the previous booking
+    STATE.bookingGeneration++;
+    window.apiClient?.cancelGroup('booking');
+  }
+
+  STATE.currentBookingId = bookingId;
+  if (changed) {
+    saveWindowBooking(bookingId);
+  }
+  PinnedBookings.render();
+  return changed;
+}
+
+/**
+ * Storage key for this window's current booking (same format as background.js)
+ * @returns {string|null} Null until the window ID is known
+ */
+function windowBookingKey() {
+  return STATE.windowId !== null ? `windowBooking_${STATE.windowId}` : null;
+}
+
+/**
+ * Tab the booking page strip asked this window's panel to show (same format as background.js)
+ * Read once - the key is removed so a later reopen starts normally
+ * @returns {Promise<string|null>} Tab name, or null if none was asked for
+ */
+async function takeRequestedTab() {
+  if (STATE.windowId === null) return null;
+  const key = `windowPanelTab_${STATE.windowId}`;
+  const result = await chrome.storage.session.get(key);
+  if (!result[key]) return null;
+  await chrome.storage.session.remove(key);
+  return TAB_ORDER.includes(result[key]) ? result[key] : null;
+}
+
+/**
+ * Remember this window's current booking so a reopened panel starts on it
+ * @param {number|string} bookingId - Booking ID
+ */
+function saveWindowBooking(bookingId) {
+  const key = windowBookingKey();
+  if (!key) return;
+  chrome.storage.session.set({ [key]: String(bookingId) }).catch(error => {
+    BMA_LOG.error('Error saving window booking:', error);
+  });
+}
+
 /**
  * Navigate to Restaurant tab with a specific date pre-selected
  * @param {string} date - Date in YYYY-MM-DD format
@@ -94,10 +158,8 @@ function navigateToRestaurantDate(date, bookingId = null, resosBookingId = null)
     STATE.scrollPositions[STATE.currentTab] = currentContent.scrollTop;
   }
 
-  // Set navigation context
+  // Set navigation context (where to go back to is kept by NavigationHistory)
   STATE.navigationContext = {
-    returnTab: STATE.currentTab,
-    returnBookingId: STATE.currentBookingId,
     targetDate: date,
     expandCreateForm: resosBookingId ? false : true, // Expand create form only if not viewing a comparison
     expandComparisonRow: resosBookingId ? { resosBookingId, date } : null, // Expand comparison row if resosBookingId provided
@@ -106,12 +168,11 @@ function navigateToRestaurantDate(date, bookingId = null, resosBookingId = null)
 
   // Update current booking ID if provided
   if (bookingId) {
-    STATE.currentBookingId = bookingId;
-    chrome.storage.local.set({ currentBookingId: bookingId });
+    setCurrentBooking(bookingId);
   }
 
   // Switch to restaurant tab
-  switchTab('restaurant');
+  switchTab('restaurant', true);
 }
 
 /**
@@ -128,47 +189,247 @@ function navigateToChecksTab(bookingId) {
   }
 
   // Update current booking ID
-  STATE.currentBookingId = bookingId;
-  chrome.storage.local.set({ currentBookingId: bookingId });
+  setCurrentBooking(bookingId);
 
   // Switch to checks tab
-  switchTab('checks');
+  switchTab('checks', true);
 }
 
 /**
- * Return to the previous context after completing a task
+ * Go back to where the user was before the last jump (e.g. after creating a booking)
  */
 function returnToPreviousContext() {
-  if (!STATE.navigationContext || !STATE.navigationContext.returnTab) {
+  if (!NavigationHistory.canGoBack()) {
     BMA_LOG.log('No previous context to return to');
     return;
   }
 
-  BMA_LOG.log('Returning to previous context:', STATE.navigationContext.returnTab);
+  NavigationHistory.back();
+}
+
+const NAVIGATION_HISTORY_MAX = 50;
 
-  const returnTab = STATE.navigationContext.returnTab;
-  const returnBookingId = STATE.navigationContext.returnBookingId;
+// Back/forward history of panel views. Each entry records the tab, booking, date, expanded
+// comparison row and scroll position so hopping Summary → Restaurant → Checks → back restores
+// exactly where the user was.
+const NavigationHistory = {
+  entries: [], // [{ tab, bookingId, date, comparison: { resosBookingId, date } | null, scroll, fromJump }]
+  index: -1,
+  restoring: false,
+  pendingScroll: null, // { tab, scrollTop } applied once the restored tab has rendered
 
-  // Restore booking ID
-  if (returnBookingId) {
-    STATE.currentBookingId = returnBookingId;
-    chrome.storage.local.set({ currentBookingId: returnBookingId });
-  }
+  init() {
+    document.getElementById('history-back').addEventListener('click', () => this.back());
+    document.getElementById('history-forward').addEventListener('click', () => this.forward());
 
-  // Clear navigation context
-  STATE.navigationContext = null;
+    // Mouse back/forward buttons and Alt+Left/Right, as in the browser
+    document.addEventListener('mouseup', (e) => {
+      if (e.button === 3) {
+        e.preventDefault();
+        this.back();
+      } else if (e.button === 4) {
+        e.preventDefault();
+        this.forward();
+      }
+    });
 
-  // Switch back to previous tab
-  switchTab(returnTab);
+    document.addEventListener('keydown', (e) => {
+      if (!e.altKey || e.shiftKey || e.ctrlKey || e.metaKey) return;
+      if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        this.back();
+      } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        this.forward();
+      }
+    });
 
-  // Restore scroll position
-  setTimeout(() => {
-    const content = document.querySelector(`[data-content="${returnTab}"]`);
-    if (content && STATE.scrollPositions[returnTab]) {
-      content.scrollTop = STATE.scrollPositions[returnTab];
+    // The panel opens on the Summary tab
+    this.record();
+  },
+
+  current() {
+    return this.entries[this.index] || null;
+  },
+
+  canGoBack() {
+    return this.index > 0;
+  },
+
+  canGoForward() {
+    return this.index < this.entries.length - 1;
+  },
+
+  /**
+   * Describe the view that's on screen now
+   * @param {boolean} fromJump - True if reached via a cross-tab link (navigateToRestaurantDate etc.)
+   * @returns {Object} History entry
+   */
+  snapshot(fromJump = false) {
+    const tab = STATE.currentTab;
+    const context = STATE.navigationContext;
+    let date = null;
+
+    if (tab === 'staying') {
+      date = STATE.stayingDate;
+    } else if (tab === 'restaurant' && context) {
+      date = context.targetDate || null;
     }
-  }, 100);
-}
+
+    return {
+      tab: tab,
+      bookingId: tab === 'restaurant' || tab === 'checks' ? STATE.currentBookingId : null,
+      date: date,
+      comparison: tab === 'restaurant' && context ? context.expandComparisonRow || null : null,
+      scroll: 0,
+      fromJump: fromJump
+    };
+  },
+
+  /**
+   * Update the current entry with what's on screen (scroll, expanded comparison) before leaving it
+   */
+  saveCurrentView() {
+    // Mid back/forward the current entry is the target, not the view being left
+    if (this.restoring) return;
+
+    const entry = this.current();
+    if (!entry || entry.tab !== STATE.currentTab) return;
+
+    const content = document.querySelector(`[data-content="${entry.tab}"]`);
+    if (!content) return;
+
+    entry.scroll = content.scrollTop;
+
+    if (entry.tab === 'restaurant') {
+      // Comparison containers are "comparison-{YYYY-MM-DD}-{resosBookingId}"
+      const openComparison = Array.from(content.querySelectorAll('[id^="comparison-"]'))
+        .find(container => container.style.display === 'block');
+      if (openComparison) {
+        const date = openComparison.id.substr('comparison-'.length, 10);
+        const resosBookingId = openComparison.id.substr('comparison-'.length + 11);
+        entry.comparison = { resosBookingId, date };
+        entry.date = date;
+      } else {
+        entry.comparison = null;
+      }
+    }
+  },
+
+  /**
+   * Record the view that was just navigated to (called from switchTab)
+   * @param {boolean} fromJump - True if reached via a cross-tab link
+   */
+  record(fromJump = false) {
+    if (this.restoring) return;
+
+    const entry = this.snapshot(fromJump);
+    const current = this.current();
+
+    // Same view again (e.g. re-detecting the booking already shown) - don't add a step
+    if (current &&
+        current.tab === entry.tab &&
+        String(current.bookingId) === String(entry.bookingId) &&
+        current.date === entry.date &&
+        JSON.stringify(current.comparison) === JSON.stringify(entry.comparison)) {
+      return;
+    }
+
+    // New navigation drops any forward history
+    this.entries = this.entries.slice(0, this.index + 1);
+    this.entries.push(entry);
+    if (this.entries.length > NAVIGATION_HISTORY_MAX) {
+      this.entries.shift();
+    }
+    this.index = this.entries.length - 1;
+    this.updateButtons();
+  },
+
+  back() {
+    if (!this.canGoBack()) return;
+    this.saveCurrentView();
+    this.index--;
+    this.restore(this.current());
+  },
+
+  forward() {
+    if (!this.canGoForward()) return;
+    this.saveCurrentView();
+    this.index++;
+    this.restore(this.current());
+  },
+
+  /**
+   * Put the panel back into the state described by a history entry
+   * @param {Object} entry - History entry
+   */
+  restore(entry) {
+    BMA_LOG.log('Navigation history: restoring', entry);
+    this.restoring = true;
+
+    try {
+      if (entry.bookingId && String(entry.bookingId) !== String(STATE.currentBookingId)) {
+        setCurrentBooking(entry.bookingId);
+      }
+
+      if (entry.tab === 'staying' && entry.date) {
+        STATE.stayingDate = entry.date;
+      }
+
+      // Re-open the comparison row that was expanded; scroll is restored separately
+      STATE.navigationContext = entry.tab === 'restaurant' && entry.comparison ? {
+        targetDate: entry.comparison.date,
+        expandCreateForm: false,
+        expandComparisonRow: entry.comparison,
+        scrollAfterLoad: false
+      } : null;
+
+      STATE.scrollPositions[entry.tab] = entry.scroll;
+      this.pendingScroll = { tab: entry.tab, scrollTop: entry.scroll };
+
+      // Force a reload so the restored booking/date is rendered even if the tab is already showing
+      if (entry.tab === 'restaurant' || entry.tab === 'checks') {
+        STATE.loadedBookingIds[entry.tab] = null;
+      }
+
+      switchTab(entry.tab);
+    } finally {
+      this.restoring = false;
+      this.updateButtons();
+    }
+  },
+
+  /**
+   * Apply the restored scroll position once a tab's content has been rendered (called from showData)
+   * @param {string} tabName - Tab that was rendered
+   */
+  applyPendingScroll(tabName) {
+    if (!this.pendingScroll || this.pendingScroll.tab !== tabName) return;
+
+    const { scrollTop } = this.pendingScroll;
+    this.pendingScroll = null;
+    requestAnimationFrame(() => {
+      const content = document.querySelector(`[data-content="${tabName}"]`);
+      if (content) {
+        content.scrollTop = scrollTop;
+      }
+    });
+  },
+
+  // Forget every step (they belong to the previous property profile)
+  reset() {
+    this.entries = [];
+    this.index = -1;
+    this.updateButtons();
+  },
+
+  updateButtons() {
+    const backBtn = document.getElementById('history-back');
+    const forwardBtn = document.getElementById('history-forward');
+    if (backBtn) backBtn.disabled = !this.canGoBack();
+    if (forwardBtn) forwardBtn.disabled = !this.canGoForward();
+  }
+};
 
 /**
  * Process navigation context after Restaurant tab loads
@@ -1201,24 +1462,7 @@ function validateBookingForm(formId) {
  */
 async function fetchOpeningHours(date = null) {
   try {
-    const params = new URLSearchParams({ context: 'chrome-extension' });
-    if (date) {
-      params.set('date', date);
-    }
-
-    const response = await fetch(`${window.apiClient.baseUrl}/opening-hours?${params}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': window.apiClient.authHeader,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    return await response.json();
+    return await window.apiClient.fetchOpeningHours(date);
   } catch (error) {
     BMA_LOG.error('Error fetching opening hours:', error);
     throw error;
@@ -1234,30 +1478,7 @@ async function fetchOpeningHours(date = null) {
  */
 async function fetchAvailableTimes(date, people, openingHourId = null) {
   try {
-    const body = {
-      date: date,
-      people: people,
-      context: 'chrome-extension'
-    };
-
-    if (openingHourId) {
-      body.opening_hour_id = openingHourId;
-    }
-
-    const response = await fetch(`${window.apiClient.baseUrl}/available-times`, {
-      method: 'POST',
-      headers: {
-        'Authorization': window.apiClient.authHeader,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    return await response.json();
+    return await window.apiClient.fetchAvailableTimes(date, people, openingHourId);
   } catch (error) {
     BMA_LOG.error('Error fetching available times:', error);
     throw error;
@@ -1270,19 +1491,7 @@ async function fetchAvailableTimes(date, people, openingHourId = null) {
  */
 async function fetchDietaryChoices() {
   try {
-    const response = await fetch(`${window.apiClient.baseUrl}/dietary-choices?context=chrome-extension`, {
-      method: 'GET',
-      headers: {
-        'Authorization': window.apiClient.authHeader,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    return await response.json();
+    return await window.apiClient.fetchDietaryChoices();
   } catch (error) {
     BMA_LOG.error('Error fetching dietary choices:', error);
     throw error;
@@ -1296,19 +1505,7 @@ async function fetchDietaryChoices() {
  */
 async function fetchSpecialEvents(date) {
   try {
-    const response = await fetch(`${window.apiClient.baseUrl}/special-events?date=${date}&context=chrome-extension`, {
-      method: 'GET',
-      headers: {
-        'Authorization': window.apiClient.authHeader,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    return await response.json();
+    return await window.apiClient.fetchSpecialEvents(date);
   } catch (error) {
     BMA_LOG.error('Error fetching special events:', error);
     throw error;
@@ -1322,24 +1519,7 @@ async function fetchSpecialEvents(date) {
  */
 async function fetchAllBookingsForDate(date) {
   try {
-    const url = `${window.apiClient.baseUrl}/all-bookings-for-date?date=${date}`;
-    BMA_LOG.log('fetchAllBookingsForDate - URL:', url);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': window.apiClient.authHeader,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    BMA_LOG.log('fetchAllBookingsForDate - Response status:', response.status, response.statusText);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await window.apiClient.fetchAllBookingsForDate(date);
     BMA_LOG.log('fetchAllBookingsForDate - Response data:', data);
     BMA_LOG.log('fetchAllBookingsForDate - Bookings count:', data.bookings ? data.bookings.length : 0);
 
@@ -1358,51 +1538,9 @@ async function fetchAllBookingsForDate(date) {
 }
 
 // Authentication State Management
+// The NewBook session (cookie) is checked by the background, which sends the result over the
+// store port on connect and whenever it changes - this shows the lock screen to match
 const AuthManager = {
-  // Check if NewBook session is active by checking cookies
-  async checkNewBookAuth() {
-    try {
-      // Check cookies from both appeu.newbook.cloud and login.newbook.cloud
-      const domains = [
-        'https://appeu.newbook.cloud',
-        'https://login.newbook.cloud'
-      ];
-
-      let allCookies = [];
-      for (const url of domains) {
-        const cookies = await chrome.cookies.getAll({ url });
-        allCookies = allCookies.concat(cookies);
-      }
-
-      BMA_LOG.log('NewBook cookies found:', allCookies.length);
-
-      // Check if there's a valid session cookie
-      // NewBook typically uses PHPSESSID or similar
-      const sessionCookie = allCookies.find(cookie =>
-        cookie.name === 'PHPSESSID' ||
-        cookie.name.toLowerCase().includes('session') ||
-        cookie.name.toLowerCase().includes('newbook')
-      );
-
-      const isAuthenticated = !!sessionCookie && !this.isCookieExpired(sessionCookie);
-
-      BMA_LOG.log('NewBook authentication status:', isAuthenticated ? 'Authenticated' : 'Not authenticated');
-
-      return isAuthenticated;
-    } catch (error) {
-      BMA_LOG.error('Error checking NewBook auth:', error);
-      return false;
-    }
-  },
-
-  isCookieExpired(cookie) {
-    if (!cookie.expirationDate) {
-      // Session cookies without expiration are valid until browser closes
-      return false;
-    }
-    return cookie.expirationDate * 1000 < Date.now();
-  },
-
   // Show lock screen overlay
   showLockScreen() {
     const existingLock = document.getElementById('newbook-lock-screen');
@@ -1431,7 +1569,7 @@ const AuthManager = {
     // Add event listeners
     document.getElementById('open-newbook-btn').addEventListener('click', async () => {
       // Open NewBook in a new tab
-      await chrome.tabs.create({ url: 'https://appeu.newbook.cloud' });
+      await chrome.tabs.create({ url: NewBookHosts.primary(STATE.settings) });
     });
 
     document.getElementById('check-auth-btn').addEventListener('click', async () => {
@@ -1447,14 +1585,28 @@ const AuthManager = {
     }
   },
 
-  // Update authentication state and show/hide lock screen
+  /**
+   * Ask the background to check the NewBook session now (startup and "Check Again")
+   * @returns {Promise<boolean>} True if authenticated
+   */
   async updateAuthState() {
-    if (STATE.newbookAuth.checking) return;
+    if (STATE.newbookAuth.checking) return STATE.newbookAuth.isAuthenticated;
 
     STATE.newbookAuth.checking = true;
-    const isAuthenticated = await this.checkNewBookAuth();
+    try {
+      return await StoreClient.checkAuth();
+    } catch (error) {
+      BMA_LOG.error('Error checking NewBook auth:', error);
+      this.applyAuthState(false);
+      return false;
+    } finally {
+      STATE.newbookAuth.checking = false;
+    }
+  },
+
+  // Authentication state from the background - show/hide lock screen
+  applyAuthState(isAuthenticated) {
     STATE.newbookAuth.isAuthenticated = isAuthenticated;
-    STATE.newbookAuth.checking = false;
 
     // Show lock screen if either not authenticated OR session is locked
     if (isAuthenticated && !STATE.sessionLocked) {
@@ -1462,8 +1614,6 @@ const AuthManager = {
     } else {
       this.showLockScreen();
     }
-
-    return isAuthenticated;
   },
 
   // Handle session lock status from content script
@@ -1478,99 +1628,772 @@ const AuthManager = {
       // Only hide if also authenticated
       this.hideLockScreen();
     }
-  },
-
-  // Start listening for cookie changes
-  startCookieMonitoring() {
-    chrome.cookies.onChanged.addListener((changeInfo) => {
-      // Check if the changed cookie is from NewBook domain
-      if (changeInfo.cookie.domain.includes('newbook.cloud')) {
-        BMA_LOG.log('NewBook cookie changed:', changeInfo);
-
-        // Debounce auth check to avoid too many checks
-        clearTimeout(this._cookieCheckTimeout);
-        this._cookieCheckTimeout = setTimeout(() => {
-          this.updateAuthState();
-        }, 1000);
-      }
-    });
-
-    BMA_LOG.log('Cookie monitoring started');
   }
 };
 
 // API Client
+const API_REQUEST_TIMEOUT = 30000; // Abandon a request after 30 seconds
+const API_MAX_RETRIES = 2; // Extra attempts after a 5xx or network failure
+const API_RETRY_BASE_DELAY = 500; // Backoff delay in ms, doubled on each retry
+
+/**
+ * Error thrown for every failed Booking Match API call
+ * code is one of: 'http', 'timeout', 'network', 'aborted', 'invalid-response'
+ */
+class APIError extends Error {
+  constructor(message, { status = 0, endpoint = '', code = 'http' } = {}) {
+    super(message);
+    this.name = 'APIError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.code = code;
+  }
+
+  // True when the request was cancelled on purpose (e.g. booking switched mid-load)
+  get aborted() {
+    return this.code === 'aborted';
+  }
+
+  get retryable() {
+    return this.code === 'network' || this.code === 'timeout' || (this.code === 'http' && this.status >= 500);
+  }
+}
+
 class APIClient {
   constructor(settings) {
     this.settings = settings;
     this.baseUrl = settings.apiRootUrl;
-    this.authHeader = 'Basic ' + btoa(`${settings.username}:${settings.applicationPassword}`);
+    // The header is built per request (shared/credentials.js), as token profiles renew it
+    this.profile = {
+      id: settings.profileId,
+      apiRootUrl: settings.apiRootUrl,
+      username: settings.username,
+      applicationPassword: settings.applicationPassword,
+      authMode: settings.authMode
+    };
+    this.inFlight = {}; // Cancellation group name -> Set of AbortControllers
   }
 
-  async fetchSummary(force_refresh = false) {
-    const limit = this.settings.recentBookingsCount || 10;
-    BMA_LOG.log('fetchSummary - settings:', this.settings);
-    BMA_LOG.log('fetchSummary - recentBookingsCount:', this.settings.recentBookingsCount);
-    BMA_LOG.log('fetchSummary - limit:', limit);
-    BMA_LOG.log('fetchSummary - force_refresh:', force_refresh);
-
-    const url = `${this.baseUrl}/summary?context=chrome-summary&limit=${limit}&force_refresh=${force_refresh}`;
-    BMA_LOG.log('fetchSummary - URL:', url);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': this.authHeader,
-        'Content-Type': 'application/json'
-      }
-    });
+  /**
+   * Human readable message for an HTTP status when the API gives none
+   * @param {number} status - HTTP status code
+   * @returns {string}
+   */
+  static describeStatus(status) {
+    if (status === 401 || status === 403) {
+      return 'Authentication failed. Check your username and application password in settings.';
+    }
+    if (status === 404) {
+      return 'API endpoint not found. Check the API Root URL in settings.';
+    }
+    if (status === 429) {
+      return 'Too many requests. Please wait a moment and try again.';
+    }
+    if (status >= 500) {
+      return `The Booking Match server had a problem (error ${status}). Please try again.`;
+    }
+    return `Request failed (error ${status})`;
+  }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  /**
+   * Perform a request against the Booking Match API
+   * Handles timeouts, retries with backoff on 5xx/network errors and cancellation groups
+   * @param {string} endpoint - Path relative to the API root, e.g. '/summary'
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method (default 'GET')
+   * @param {Object|null} options.params - Query string parameters (null/undefined values are skipped)
+   * @param {Object|null} options.body - JSON body
+   * @param {number} options.timeout - Timeout per attempt in ms
+   * @param {number} options.retries - Retry attempts for retryable failures (use 0 for writes)
+   * @param {string|null} options.group - Cancellation group, see cancelGroup()
+   * @param {Object|null} options.audit - Write context for the audit log, see recordAudit()
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {APIError}
+   */
+  async request(endpoint, { method = 'GET', params = null, body = null, timeout = API_REQUEST_TIMEOUT, retries = API_MAX_RETRIES, group = null, audit = null } = {}) {
+    let url = `${this.baseUrl}${endpoint}`;
+    if (params) {
+      const query = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) {
+          query.set(key, value);
+        }
+      });
+      url += `?${query}`;
+    }
+
+    // One controller per request so cancelGroup() also stops pending retries
+    const controller = new AbortController();
+    if (group) {
+      if (!this.inFlight[group]) {
+        this.inFlight[group] = new Set();
+      }
+      this.inFlight[group].add(controller);
     }
 
-    return response.json();
+    let tokenRenewed = false;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const data = await this.attemptRequest(url, endpoint, method, body, timeout, controller.signal);
+          if (audit) {
+            this.recordAudit(endpoint, method, body, audit, data, null);
+          }
+          return data;
+        } catch (error) {
+          // Expired or revoked token - fetch a new one and try once more
+          if (error.status === 401 && this.profile.authMode === 'token' && !tokenRenewed && !controller.signal.aborted) {
+            tokenRenewed = true;
+            attempt--;
+            await Credentials.forgetToken(this.profile.id);
+            continue;
+          }
+
+          if (!error.retryable || attempt >= retries) {
+            if (audit) {
+              this.recordAudit(endpoint, method, body, audit, null, error);
+            }
+            SignInPrompt.handleError(error);
+            throw error;
+          }
+
+          const delay = API_RETRY_BASE_DELAY * Math.pow(2, attempt);
+          BMA_LOG.warn(`API ${method} ${endpoint} failed (${error.message}), retrying in ${delay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+
+          if (controller.signal.aborted) {
+            throw new APIError('Request cancelled', { endpoint, code: 'aborted' });
+          }
+        }
+      }
+    } finally {
+      if (group && this.inFlight[group]) {
+        this.inFlight[group].delete(controller);
+      }
+    }
   }
 
-  async fetchRestaurantMatch(bookingId, force_refresh = false) {
-    const response = await fetch(`${this.baseUrl}/bookings/match`, {
-      method: 'POST',
-      headers: {
-        'Authorization': this.authHeader,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        booking_id: parseInt(bookingId),
-        context: 'chrome-sidepanel',
-        force_refresh: force_refresh
-      })
-    });
+  // Single fetch attempt with its own timeout, linked to the request's cancellation signal
+  async attemptRequest(url, endpoint, method, body, timeout, cancelSignal) {
+    if (cancelSignal.aborted) {
+      throw new APIError('Request cancelled', { endpoint, code: 'aborted' });
+    }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    let authorization;
+    try {
+      authorization = await Credentials.authorization(this.profile);
+    } catch (error) {
+      // Token request failed
+      const message = error.status ? APIClient.describeStatus(error.status) : error.message;
+      throw new APIError(message, { status: error.status, endpoint, code: error.code });
     }
 
-    return response.json();
-  }
+    const attemptController = new AbortController();
+    const onCancel = () => attemptController.abort();
+    cancelSignal.addEventListener('abort', onCancel);
+
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      attemptController.abort();
+    }, timeout);
+
+    let response;
+    let data = null;
+    try {
+      const options = {
+        method: method,
+        headers: {
+          'Authorization': authorization,
+          'Content-Type': 'application/json'
+        },
+        signal: attemptController.signal
+      };
+      if (body) {
+        options.body = JSON.stringify(body);
+      }
+
+      response = await fetch(url, options);
 
-  async fetchChecks(bookingId, force_refresh = false) {
-    const response = await fetch(`${this.baseUrl}/checks/${bookingId}?context=chrome-checks&force_refresh=${force_refresh}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': this.authHeader,
-        'Content-Type': 'application/json'
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        // Body aborted mid-read is handled below, anything else is a non-JSON body
+        if (attemptController.signal.aborted) throw parseError;
+        data = null;
       }
-    });
+    } catch (error) {
+      if (cancelSignal.aborted) {
+        throw new APIError('Request cancelled', { endpoint, code: 'aborted' });
+      }
+      if (timedOut) {
+        throw new APIError(`Request timed out after ${Math.round(timeout / 1000)} seconds`, { endpoint, code: 'timeout' });
+      }
+      throw new APIError('Cannot reach the Booking Match API. Check your network connection.', { endpoint, code: 'network' });
+    } finally {
+      clearTimeout(timeoutId);
+      cancelSignal.removeEventListener('abort', onCancel);
+    }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const message = (data && data.message) || APIClient.describeStatus(response.status);
+      throw new APIError(message, { status: response.status, endpoint, code: 'http' });
+    }
+
+    if (data === null) {
+      throw new APIError('Invalid response from API', { status: response.status, endpoint, code: 'invalid-response' });
     }
 
-    return response.json();
+    return data;
   }
-}
 
-// UI Helper Functions
+  /**
+   * Write an audit log entry for a completed write (successful, rejected by the API or failed)
+   * @param {string} endpoint - API endpoint
+   * @param {string} method - HTTP method
+   * @param {Object|null} body - JSON body sent
+   * @param {Object} audit - { action, hotelBookingId, resosBookingId, before, after }
+   * @param {Object|null} data - Response data (null on error)
+   * @param {APIError|null} error - Error thrown (null on response)
+   */
+  recordAudit(endpoint, method, body, audit, data, error) {
+    let result = 'success';
+    if (error) {
+      result = 'error';
+    } else if (data && data.success === false) {
+      result = 'failed';
+    }
+
+    AuditLog.add({
+      username: this.settings.username,
+      action: audit.action,
+      hotelBookingId: audit.hotelBookingId || null,
+      resosBookingId: audit.resosBookingId || (data && data.booking_id) || null,
+      endpoint: endpoint,
+      method: method,
+      payload: body,
+      diff: AuditLog.diff(audit.before || null, audit.after || {}),
+      result: result,
+      message: error ? error.message : ((data && data.message) || null)
+    });
+  }
+
+  /**
+   * Abort every in-flight request registered under a cancellation group
+   * @param {string} group - Group name (e.g. 'booking')
+   */
+  cancelGroup(group) {
+    StoreClient.cancelGroup(group);
+
+    const controllers = this.inFlight[group];
+    if (!controllers || controllers.size === 0) return;
+
+    BMA_LOG.log(`Cancelling ${controllers.size} in-flight '${group}' request(s)`);
+    controllers.forEach(controller => controller.abort());
+    controllers.clear();
+  }
+
+  // Summary, Staying, Restaurant and Checks data is owned by the background data store,
+  // which shares one request (and its result) between every open sidepanel
+
+  async fetchSummary(force_refresh = false) {
+    const limit = this.settings.recentBookingsCount || 10;
+    BMA_LOG.log('fetchSummary - limit:', limit, 'force_refresh:', force_refresh);
+
+    return StoreClient.get('summary', { limit: limit }, { force: force_refresh });
+  }
+
+  // Booking loads are cancelled when the current booking changes; pass another group for
+  // background loads of other bookings (e.g. pinned bookings)
+  async fetchRestaurantMatch(bookingId, force_refresh = false, group = 'booking') {
+    return StoreClient.get('restaurant', { booking_id: String(bookingId) }, { force: force_refresh, group: group });
+  }
+
+  async fetchChecks(bookingId, force_refresh = false, group = 'booking') {
+    return StoreClient.get('checks', { booking_id: String(bookingId) }, { force: force_refresh, group: group });
+  }
+
+  async fetchComparison(bookingId, resosBookingId, date) {
+    return this.request('/comparison', {
+      method: 'POST',
+      body: {
+        booking_id: bookingId,
+        resos_booking_id: resosBookingId,
+        date: date,
+        context: 'chrome-sidepanel'
+      },
+      group: 'booking'
+    });
+  }
+
+  async fetchStaying(date, force_refresh = false) {
+    return StoreClient.get('staying', { date: date }, { force: force_refresh });
+  }
+
+  async searchBookings(query) {
+    return this.request('/bookings/search', {
+      params: { q: query, limit: 20, context: 'chrome-sidepanel' },
+      group: 'search'
+    });
+  }
+
+  async fetchOpeningHours(date = null) {
+    return this.request('/opening-hours', {
+      params: { context: 'chrome-extension', date: date }
+    });
+  }
+
+  async fetchAvailableTimes(date, people, openingHourId = null) {
+    const body = {
+      date: date,
+      people: people,
+      context: 'chrome-extension'
+    };
+
+    if (openingHourId) {
+      body.opening_hour_id = openingHourId;
+    }
+
+    return this.request('/available-times', { method: 'POST', body });
+  }
+
+  async fetchDietaryChoices() {
+    return this.request('/dietary-choices', {
+      params: { context: 'chrome-extension' }
+    });
+  }
+
+  async fetchSpecialEvents(date) {
+    return this.request('/special-events', {
+      params: { date: date, context: 'chrome-extension' }
+    });
+  }
+
+  async fetchAllBookingsForDate(date) {
+    return this.request('/all-bookings-for-date', {
+      params: { date: date }
+    });
+  }
+
+  async fetchBookingsForDate(date, excludeBookingId = null) {
+    return this.request('/bookings/for-date', {
+      params: { date: date, exclude_booking_id: excludeBookingId || null }
+    });
+  }
+
+  // Write operations are never retried automatically to avoid duplicate changes in ResOS
+  // Every write is recorded in the audit log; `audit` adds context the request body lacks
+  // (hotel booking, previous values, and `action` to override the default action name)
+
+  async createBooking(formData, audit = {}) {
+    return this.request('/bookings/create', {
+      method: 'POST',
+      body: formData,
+      retries: 0,
+      audit: { action: 'create', hotelBookingId: formData.booking_ref, before: null, after: formData, ...audit }
+    });
+  }
+
+  async updateBooking(resosBookingId, updates, audit = {}) {
+    return this.request('/bookings/update', {
+      method: 'POST',
+      body: {
+        booking_id: resosBookingId,
+        updates: updates
+      },
+      retries: 0,
+      audit: { action: 'update', resosBookingId: resosBookingId, before: null, after: updates, ...audit }
+    });
+  }
+
+  async excludeMatch(resosBookingId, hotelBookingId, audit = {}) {
+    return this.request('/bookings/exclude', {
+      method: 'POST',
+      body: {
+        resos_booking_id: resosBookingId,
+        hotel_booking_id: hotelBookingId
+      },
+      retries: 0,
+      audit: { action: 'exclude', resosBookingId, hotelBookingId, before: null, after: { note: `NOT-#${hotelBookingId}` }, ...audit }
+    });
+  }
+
+  async unexcludeMatch(resosBookingId, hotelBookingId, audit = {}) {
+    return this.request('/bookings/unexclude', {
+      method: 'POST',
+      body: {
+        resos_booking_id: resosBookingId,
+        hotel_booking_id: hotelBookingId
+      },
+      retries: 0,
+      audit: { action: 'unexclude', resosBookingId, hotelBookingId, before: { note: `NOT-#${hotelBookingId}` }, after: { note: null }, ...audit }
+    });
+  }
+
+  async saveGroup(resosBookingId, leadBookingId, individualIds, audit = {}) {
+    return this.request('/bookings/group', {
+      method: 'POST',
+      body: {
+        resos_booking_id: resosBookingId,
+        lead_booking_id: leadBookingId,
+        individual_ids: individualIds
+      },
+      retries: 0,
+      audit: { action: 'group', resosBookingId, before: null, after: { leadBookingId, groupIds: individualIds }, ...audit }
+    });
+  }
+}
+
+// Background Data Store Client
+// Reads go to the service worker's data store over a long-lived port (see DataStore in
+// background.js). The store answers each request and also pushes entries refreshed by
+// other panels or its own alarm-driven polling, which are passed to handleStoreUpdate().
+const STORE_PORT_NAME = 'bma-store';
+// The store retries failed reads itself, so allow for every attempt plus backoff
+const STORE_REQUEST_TIMEOUT = API_REQUEST_TIMEOUT * (API_MAX_RETRIES + 1) + 5000;
+const STORE_ENDPOINTS = {
+  summary: '/summary',
+  staying: '/staying',
+  restaurant: '/bookings/match',
+  checks: '/checks'
+};
+
+const StoreClient = {
+  port: null,
+  nextId: 1,
+  pending: new Map(), // Request ID -> { resolve, reject, timeoutId, group, endpoint }
+
+  // Connect on first use and again after the service worker restarts
+  ensurePort() {
+    if (this.port) return this.port;
+
+    this.port = chrome.runtime.connect({ name: STORE_PORT_NAME });
+    this.port.onMessage.addListener(message => this.handleMessage(message));
+    this.port.onDisconnect.addListener(() => {
+      BMA_LOG.warn('Disconnected from background data store');
+      this.port = null;
+      this.pending.forEach(request => {
+        clearTimeout(request.timeoutId);
+        request.reject(new APIError('Lost connection to the extension background. Please try again.', {
+          endpoint: request.endpoint,
+          code: 'network'
+        }));
+      });
+      this.pending.clear();
+    });
+    return this.port;
+  },
+
+  /**
+   * Get data from the store (fetched by the service worker if it has nothing recent)
+   * @param {string} key - 'summary', 'staying', 'restaurant' or 'checks'
+   * @param {Object} params - Entry parameters (limit, date or booking_id); the profile is added
+   * @param {Object} options - { force: bypass the store and the server cache, group: cancellation group }
+   * @returns {Promise<Object>} API response data
+   * @throws {APIError}
+   */
+  get(key, params, { force = false, group = null } = {}) {
+    const id = this.nextId++;
+    const endpoint = STORE_ENDPOINTS[key];
+    params = { profile: STATE.profileId, ...params };
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new APIError(`Request timed out after ${Math.round(STORE_REQUEST_TIMEOUT / 1000)} seconds`, { endpoint, code: 'timeout' }));
+      }, STORE_REQUEST_TIMEOUT);
+
+      this.pending.set(id, { resolve, reject, timeoutId, group, endpoint });
+      this.ensurePort().postMessage({ type: 'get', id, key, params, force });
+    });
+  },
+
+  /**
+   * Ask the background to check the NewBook session (the answer is also applied as a change)
+   * @returns {Promise<boolean>} True if authenticated
+   * @throws {APIError} If the background can't be reached
+   */
+  checkAuth() {
+    const id = this.nextId++;
+    const endpoint = 'newbook-auth';
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new APIError('NewBook sign-in check timed out', { endpoint, code: 'timeout' }));
+      }, STORE_REQUEST_TIMEOUT);
+
+      this.pending.set(id, { resolve, reject, timeoutId, group: null, endpoint });
+      this.ensurePort().postMessage({ type: 'checkAuth', id });
+    });
+  },
+
+  handleMessage(message) {
+    if (message.type === 'update') {
+      handleStoreUpdate(message.entry);
+      return;
+    }
+
+    if (message.type === 'auth') {
+      // Sent on connect, on every change and in reply to checkAuth()
+      AuthManager.applyAuthState(message.isAuthenticated);
+      if (message.id === undefined) return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return; // Cancelled or timed out
+
+    this.pending.delete(message.id);
+    clearTimeout(request.timeoutId);
+
+    if (message.type === 'auth') {
+      request.resolve(message.isAuthenticated);
+    } else if (message.type === 'result') {
+      request.resolve(message.entry.data);
+    } else {
+      const { message: errorMessage, status, code } = message.error;
+      const error = new APIError(errorMessage || APIClient.describeStatus(status), {
+        status,
+        endpoint: request.endpoint,
+        code
+      });
+      SignInPrompt.handleError(error);
+      request.reject(error);
+    }
+  },
+
+  /**
+   * Reject every pending request in a cancellation group (the store still finishes the
+   * fetch, so its result is kept for the next request)
+   * @param {string} group - Group name
+   */
+  cancelGroup(group) {
+    this.pending.forEach((request, id) => {
+      if (request.group !== group) return;
+      clearTimeout(request.timeoutId);
+      request.reject(new APIError('Request cancelled', { endpoint: request.endpoint, code: 'aborted' }));
+      this.pending.delete(id);
+    });
+  }
+};
+
+/**
+ * Apply an entry another panel or the background poll refreshed
+ * Only badges and the Summary are updated - booking tabs keep what the user is looking at
+ * @param {Object} entry - Store entry { key, params, data, updatedAt }
+ */
+function handleStoreUpdate(entry) {
+  const data = entry.data;
+  if (!data || !data.success || !STATE.settings) return;
+
+  // Another hotel (shown in another window)
+  if (entry.params.profile !== STATE.profileId) return;
+
+  const criticalCount = data.critical_count || 0;
+  const warningCount = data.warning_count || 0;
+
+  if (entry.key === 'summary') {
+    if (entry.params.limit !== (STATE.settings.recentBookingsCount || 10)) return;
+    updateBadge('summary', criticalCount, warningCount);
+
+    // Show the broadcast result itself - reloading would make every panel fetch (and broadcast) again
+    if (STATE.currentTab === 'summary' && STATE.cache.summary && data.html !== STATE.cache.summary.html && !isSummaryReadingPaused()) {
+      renderSummaryData(data, entry.updatedAt);
+    }
+  } else if (entry.key === 'staying') {
+    if (entry.params.date === STATE.stayingDate) {
+      updateBadge('staying', criticalCount, warningCount);
+    }
+  } else if (entry.key === 'preview') {
+    // Planner hover cards only (content script)
+  } else if (entry.params.booking_id === String(STATE.currentBookingId)) {
+    updateBadge(entry.key, criticalCount, warningCount);
+  } else {
+    PinnedBookings.updateCounts(entry.params.booking_id, entry.key, criticalCount, warningCount);
+  }
+}
+
+// Persistent Response Cache
+// Keeps the last good API response per endpoint + parameters in chrome.storage.local so the
+// sidepanel can render immediately after being reopened, then revalidate in the background
+const RESPONSE_CACHE_TTL = {
+  summary: 30 * 60 * 1000, // 30 minutes
+  staying: 2 * 60 * 60 * 1000, // 2 hours
+  restaurant: 4 * 60 * 60 * 1000, // 4 hours
+  checks: 4 * 60 * 60 * 1000 // 4 hours
+};
+const RESPONSE_CACHE_MAX_ENTRIES = 50; // Oldest entries are evicted beyond this
+
+const ResponseCache = {
+  PREFIX: 'bmaCache:',
+  INDEX_KEY: 'bmaCacheIndex', // { cacheKey: { tab, savedAt } }
+  _writeQueue: Promise.resolve(),
+
+  // Build storage key from endpoint and parameters (parameter order doesn't matter), per profile
+  // Loads pass the profile they started with - the panel may have switched since
+  key(endpoint, params = {}, profileId = STATE.profileId) {
+    const query = Object.keys(params)
+      .sort()
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+    return Profiles.storageKey(`${this.PREFIX}${endpoint}?${query}`, profileId);
+  },
+
+  /**
+   * Get a cached response if it hasn't expired
+   * @param {string} tabName - Tab the response belongs to (selects TTL)
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Parameters identifying the response
+   * @param {string} profileId - Profile the response belongs to
+   * @returns {Promise<Object|null>} { tab, savedAt, data } or null
+   */
+  async get(tabName, endpoint, params, profileId = STATE.profileId) {
+    try {
+      const cacheKey = this.key(endpoint, params, profileId);
+      const result = await chrome.storage.local.get(cacheKey);
+      const entry = result[cacheKey];
+      if (!entry) return null;
+
+      if (Date.now() - entry.savedAt > RESPONSE_CACHE_TTL[tabName]) {
+        BMA_LOG.log('[Response Cache] Expired entry:', cacheKey);
+        this.remove([cacheKey]);
+        return null;
+      }
+
+      return entry;
+    } catch (error) {
+      BMA_LOG.error('[Response Cache] Error reading cache:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Save a response (writes are queued so the index isn't clobbered by parallel loads)
+   * @param {string} tabName - Tab the response belongs to
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Parameters identifying the response
+   * @param {Object} data - API response to store
+   * @param {string} profileId - Profile the response belongs to
+   */
+  set(tabName, endpoint, params, data, profileId = STATE.profileId) {
+    const cacheKey = this.key(endpoint, params, profileId);
+    this._writeQueue = this._writeQueue.then(async () => {
+      const index = await this.getIndex();
+      index[cacheKey] = { tab: tabName, savedAt: Date.now() };
+
+      // Evict oldest entries beyond the limit
+      const keys = Object.keys(index).sort((a, b) => index[a].savedAt - index[b].savedAt);
+      const evicted = keys.slice(0, Math.max(0, keys.length - RESPONSE_CACHE_MAX_ENTRIES));
+      evicted.forEach(key => delete index[key]);
+      if (evicted.length > 0) {
+        await chrome.storage.local.remove(evicted);
+      }
+
+      await chrome.storage.local.set({
+        [cacheKey]: { tab: tabName, savedAt: index[cacheKey].savedAt, data: data },
+        [this.INDEX_KEY]: index
+      });
+    }).catch(error => {
+      BMA_LOG.error('[Response Cache] Error writing cache:', error);
+    });
+    return this._writeQueue;
+  },
+
+  remove(cacheKeys) {
+    this._writeQueue = this._writeQueue.then(async () => {
+      const index = await this.getIndex();
+      cacheKeys.forEach(key => delete index[key]);
+      await chrome.storage.local.remove(cacheKeys);
+      await chrome.storage.local.set({ [this.INDEX_KEY]: index });
+    }).catch(error => {
+      BMA_LOG.error('[Response Cache] Error removing cache entries:', error);
+    });
+    return this._writeQueue;
+  },
+
+  async getIndex() {
+    const result = await chrome.storage.local.get(this.INDEX_KEY);
+    return result[this.INDEX_KEY] || {};
+  },
+
+  // Drop expired entries (called on startup)
+  async prune() {
+    try {
+      const index = await this.getIndex();
+      const now = Date.now();
+      const expired = Object.keys(index).filter(key =>
+        now - index[key].savedAt > (RESPONSE_CACHE_TTL[index[key].tab] || 0)
+      );
+      if (expired.length > 0) {
+        BMA_LOG.log(`[Response Cache] Pruning ${expired.length} expired entries`);
+        await this.remove(expired);
+      }
+    } catch (error) {
+      BMA_LOG.error('[Response Cache] Error pruning cache:', error);
+    }
+  }
+};
+
+// Escape text for safe insertion into HTML
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// Toast Notification System
+/**
+ * Show a toast notification
+ * @param {string} message - Message (may contain HTML)
+ * @param {string} type - 'success', 'error' or 'info'
+ * @param {number} duration - How long the toast stays, in ms
+ * @param {Object|null} action - Optional button: { label, onClick }
+ */
+function showToast(message, type = 'success', duration = 4000, action = null) {
+  const container = document.getElementById('bma-toast-container');
+
+  const toast = document.createElement('div');
+  toast.className = `bma-toast ${type}`;
+
+  const iconMap = {
+    success: 'check_circle',
+    error: 'error',
+    info: 'info'
+  };
+
+  toast.innerHTML = `
+    <span class="material-symbols-outlined bma-toast-icon">${iconMap[type] || 'info'}</span>
+    <div class="bma-toast-content">
+      <p class="bma-toast-message">${message}</p>
+    </div>
+  `;
+
+  const dismiss = () => {
+    toast.style.animation = 'toastSlideIn 0.3s ease-out reverse';
+    setTimeout(() => toast.remove(), 300);
+  };
+
+  if (action) {
+    const actionBtn = document.createElement('button');
+    actionBtn.className = 'bma-toast-action';
+    actionBtn.textContent = action.label;
+    actionBtn.addEventListener('click', () => {
+      actionBtn.disabled = true;
+      dismiss();
+      action.onClick();
+    });
+    toast.appendChild(actionBtn);
+  }
+
+  container.appendChild(toast);
+
+  setTimeout(dismiss, duration);
+}
+
+// Exposed for injected template content and the group modal
+window.showToast = showToast;
+
+// UI Helper Functions
 function showLoading(tabName) {
   const tabContent = document.querySelector(`[data-content="${tabName}"]`);
   tabContent.querySelector('.tab-loading').classList.remove('hidden');
@@ -1593,6 +2416,9 @@ function showData(tabName, html) {
   // Attach event listeners for Summary tab accordion
   if (tabName === 'summary') {
     attachSummaryEventListeners(dataElement);
+    // Initialize group hover functionality
+    initializeGroupHover();
+    PinnedBookings.attachCardPinButtons(dataElement);
   }
 
   // Attach event listeners for Restaurant tab buttons
@@ -1602,6 +2428,33 @@ function showData(tabName, html) {
     initializeGroupModal();
   }
 
+  // Open booking in NewBook button on Checks tab
+  if (tabName === 'checks') {
+    const openBookingBtn = dataElement.querySelector('.open-booking-btn');
+    if (openBookingBtn) {
+      openBookingBtn.addEventListener('click', function() {
+        const bookingId = this.dataset.bookingId;
+        const url = NewBookHosts.bookingUrl(bookingId, STATE.settings);
+        chrome.tabs.update({ url: url });
+      });
+    }
+  }
+
+  if (tabName === 'staying') {
+    // Initialize group hover functionality
+    initializeGroupHover();
+
+    // Reset group filter when loading new date
+    window.activeGroupFilter = null;
+
+    // Initialize card expand/collapse
+    initializeStayingCards();
+    PinnedBookings.attachCardPinButtons(dataElement);
+  }
+
+  // Back/forward navigation restores the scroll position once content is in place
+  NavigationHistory.applyPendingScroll(tabName);
+
   // Check for stale cache indicators and schedule auto-refresh if enabled
   checkForStaleDataAndScheduleRefresh(tabName, dataElement);
 }
@@ -1626,6 +2479,11 @@ function checkForStaleDataAndScheduleRefresh(tabName, dataElement) {
     return;
   }
 
+  if (SignInPrompt.visible) {
+    BMA_LOG.log(`[Stale Refresh] Paused until signed in again`);
+    return;
+  }
+
   // Clear any existing stale refresh timer
   if (STATE.timers.staleRefresh) {
     clearTimeout(STATE.timers.staleRefresh);
@@ -1684,7 +2542,7 @@ function attachSummaryEventListeners(container) {
     button.addEventListener('click', function(e) {
       e.stopPropagation(); // Prevent header click event
       const bookingId = this.dataset.bookingId;
-      const url = `https://appeu.newbook.cloud/bookings_view/${bookingId}`;
+      const url = NewBookHosts.bookingUrl(bookingId, STATE.settings);
       chrome.tabs.update({ url: url });
     });
   });
@@ -1704,7 +2562,7 @@ function attachSummaryEventListeners(container) {
         navigateToRestaurantDate(date, parseInt(bookingId), resosId);
       } else {
         // Fallback if data attributes not available (shouldn't happen with updated templates)
-        STATE.currentBookingId = bookingId;
+        setCurrentBooking(bookingId);
         switchTab('restaurant');
       }
     });
@@ -2600,26 +3458,25 @@ function attachRestaurantEventListeners(container) {
     try {
       showFeedback(feedback, 'Creating booking...', 'info');
 
-      const response = await fetch(`${window.apiClient.baseUrl}/bookings/create`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': window.apiClient.authHeader
-        },
-        body: JSON.stringify(formData)
-      });
-
-      const result = await response.json();
+      const result = await window.apiClient.createBooking(formData);
 
       if (result.success) {
         showFeedback(feedback, 'Booking created successfully!', 'success');
+        ActionLog.record({
+          type: 'create',
+          label: `Created reservation for ${formData.guest_name} on ${date} at ${timeValue}`,
+          resosBookingId: result.booking_id || null,
+          hotelBookingId: formData.booking_ref || null,
+          before: null,
+          after: { resosBookingId: result.booking_id || null, ...formData }
+        }, 'Booking created successfully!');
         // On success, we navigate away, so no need to re-enable button
         setTimeout(() => {
           form.style.display = 'none';
           STATE.createFormOpen = false;
 
-          // Return to previous context if applicable
-          if (STATE.navigationContext && STATE.navigationContext.returnTab) {
+          // Return to where the create form was opened from, if it was a jump from another view
+          if (NavigationHistory.current()?.fromJump && NavigationHistory.canGoBack()) {
             returnToPreviousContext();
           } else {
             window.reloadRestaurantTab();
@@ -2688,6 +3545,10 @@ function attachRestaurantEventListeners(container) {
 
     BMA_LOG.log('Starting update booking operation');
 
+    // Current ResOS values (from the comparison API response) so the update can be undone
+    const comparisonContainer = document.getElementById('comparison-' + date + '-' + resosBookingId);
+    const previousValues = readResosValuesFromComparison(comparisonContainer, Object.keys(updates));
+
     // Disable button and update UI
     if (submitBtn) {
       submitBtn.disabled = true;
@@ -2697,22 +3558,21 @@ function attachRestaurantEventListeners(container) {
     try {
       showFeedback(feedback, 'Updating booking...', 'info');
 
-      const response = await fetch(`${window.apiClient.baseUrl}/bookings/update`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': window.apiClient.authHeader
-        },
-        body: JSON.stringify({
-          booking_id: resosBookingId,
-          updates: updates
-        })
+      const result = await window.apiClient.updateBooking(resosBookingId, updates, {
+        hotelBookingId: STATE.currentBookingId,
+        before: previousValues
       });
 
-      const result = await response.json();
-
       if (result.success) {
         showFeedback(feedback, 'Booking updated successfully!', 'success');
+        ActionLog.record({
+          type: 'update',
+          label: `Updated ${Object.keys(updates).join(', ')} for booking #${STATE.currentBookingId}`,
+          resosBookingId: resosBookingId,
+          hotelBookingId: STATE.currentBookingId,
+          before: previousValues,
+          after: updates
+        }, 'Booking updated successfully!');
         // On success, we reload the tab, so no need to re-enable button
         setTimeout(() => {
           form.style.display = 'none';
@@ -2767,22 +3627,17 @@ function attachRestaurantEventListeners(container) {
     BMA_LOG.log('Starting exclude operation for booking:', hotelBookingId);
 
     try {
-      const response = await fetch(`${window.apiClient.baseUrl}/bookings/exclude`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': window.apiClient.authHeader
-        },
-        body: JSON.stringify({
-          resos_booking_id: resosBookingId,
-          hotel_booking_id: hotelBookingId
-        })
-      });
-
-      const result = await response.json();
+      const result = await window.apiClient.excludeMatch(resosBookingId, hotelBookingId);
 
       if (result.success) {
-        showToast(`Match excluded successfully! NOT-#${hotelBookingId} note added.`, 'success');
+        ActionLog.record({
+          type: 'exclude',
+          label: `Excluded ${guestName} from booking #${hotelBookingId}`,
+          resosBookingId: resosBookingId,
+          hotelBookingId: hotelBookingId,
+          before: null,
+          after: { note: `NOT-#${hotelBookingId}` }
+        }, `Match excluded successfully! NOT-#${hotelBookingId} note added.`);
         window.reloadRestaurantTab();
       } else {
         showToast(`Error: ${result.message || 'Failed to exclude match'}`, 'error');
@@ -2817,22 +3672,23 @@ function attachRestaurantEventListeners(container) {
     comparisonContainer.style.display = 'block';
     comparisonContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 
+    const generation = STATE.bookingGeneration;
+
+    comparisonResosValues.delete(comparisonContainer);
+
     try {
-      const response = await fetch(`${window.apiClient.baseUrl}/comparison`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': window.apiClient.authHeader
-        },
-        body: JSON.stringify({
-          booking_id: bookingId,
-          resos_booking_id: resosBookingId,
-          date: date,
-          context: 'chrome-sidepanel'
-        })
-      });
+      const result = await window.apiClient.fetchComparison(bookingId, resosBookingId, date);
+
+      if (isSupersededLoad(generation)) {
+        BMA_LOG.log('Discarding comparison response for previous booking');
+        comparisonContainer.style.display = 'none';
+        return;
+      }
 
-      const result = await response.json();
+      // ResOS values as the API has them, for undoing updates made from this comparison
+      if (result.success && result.comparison?.resos) {
+        comparisonResosValues.set(comparisonContainer, { ...result.comparison.resos });
+      }
 
       if (result.success && result.html) {
         // Use server-generated HTML (includes Manage Group button!)
@@ -2856,6 +3712,10 @@ function attachRestaurantEventListeners(container) {
         `;
       }
     } catch (error) {
+      if (error.aborted || isSupersededLoad(generation)) {
+        comparisonContainer.style.display = 'none';
+        return;
+      }
       comparisonContainer.innerHTML = `
         <div class="bma-comparison-error">
           Error: ${error.message}
@@ -3082,12 +3942,6 @@ function attachRestaurantEventListeners(container) {
   }
 
   // Escape HTML to prevent XSS
-  function escapeHTML(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-
   // Custom Modal System
   function showModal(title, message, confirmText = 'Confirm', cancelText = 'Cancel') {
     return new Promise((resolve) => {
@@ -3125,34 +3979,6 @@ function attachRestaurantEventListeners(container) {
     });
   }
 
-  // Toast Notification System
-  function showToast(message, type = 'success', duration = 4000) {
-    const container = document.getElementById('bma-toast-container');
-
-    const toast = document.createElement('div');
-    toast.className = `bma-toast ${type}`;
-
-    const iconMap = {
-      success: 'check_circle',
-      error: 'error',
-      info: 'info'
-    };
-
-    toast.innerHTML = `
-      <span class="material-symbols-outlined bma-toast-icon">${iconMap[type] || 'info'}</span>
-      <div class="bma-toast-content">
-        <p class="bma-toast-message">${message}</p>
-      </div>
-    `;
-
-    container.appendChild(toast);
-
-    setTimeout(() => {
-      toast.style.animation = 'toastSlideIn 0.3s ease-out reverse';
-      setTimeout(() => toast.remove(), 300);
-    }, duration);
-  }
-
   // Submit selected suggestions from comparison checkboxes
   async function submitSuggestions(date, resosBookingId, hotelBookingId, isConfirmed) {
     console.log('BMA: submitSuggestions called with:', { date, resosBookingId, hotelBookingId, isConfirmed });
@@ -3203,6 +4029,9 @@ function attachRestaurantEventListeners(container) {
 
     console.log('BMA: Submitting updates:', { booking_id: resosBookingId, updates: updates });
 
+    // Current ResOS values so the update can be undone
+    const previousValues = readResosValuesFromComparison(container, Object.keys(updates));
+
     // Find the submit button to show loading state
     const submitBtn = container.querySelector('.btn-confirm-match');
     if (submitBtn) {
@@ -3211,22 +4040,21 @@ function attachRestaurantEventListeners(container) {
     }
 
     try {
-      const response = await fetch(`${window.apiClient.baseUrl}/bookings/update`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': window.apiClient.authHeader
-        },
-        body: JSON.stringify({
-          booking_id: resosBookingId,
-          updates: updates
-        })
+      const result = await window.apiClient.updateBooking(resosBookingId, updates, {
+        action: 'suggestions',
+        hotelBookingId: hotelBookingId,
+        before: previousValues
       });
 
-      const result = await response.json();
-
       if (result.success) {
-        showToast('✓ Booking updated successfully!', 'success');
+        ActionLog.record({
+          type: 'update',
+          label: `Updated ${Object.keys(updates).join(', ')} for booking #${hotelBookingId}`,
+          resosBookingId: resosBookingId,
+          hotelBookingId: hotelBookingId,
+          before: previousValues,
+          after: updates
+        }, '✓ Booking updated successfully!');
         window.reloadRestaurantTab();
       } else {
         showToast(`Error: ${result.message || 'Failed to update booking'}`, 'error');
@@ -3260,7 +4088,7 @@ function attachRestaurantEventListeners(container) {
     const button = event.target.closest('.open-booking-btn');
     if (button && button.dataset.bookingId) {
       const bookingId = button.dataset.bookingId;
-      const newbookUrl = `https://appeu.newbook.cloud/bookings_view/${bookingId}`;
+      const newbookUrl = NewBookHosts.bookingUrl(bookingId, STATE.settings);
 
       // Open in current tab
       chrome.tabs.update({ url: newbookUrl });
@@ -3334,6 +4162,7 @@ function showError(tabName, message) {
   tabContent.querySelector('.tab-loading').classList.add('hidden');
   tabContent.querySelector('.tab-data').classList.add('hidden');
   tabContent.querySelector('.tab-empty')?.classList.add('hidden');
+  clearTabStale(tabName);
 }
 
 function showEmpty(tabName) {
@@ -3346,11 +4175,70 @@ function showEmpty(tabName) {
     tabContent.querySelector('.tab-data').classList.add('hidden');
     tabContent.querySelector('.tab-error').classList.add('hidden');
   }
+  clearTabStale(tabName);
+}
+
+/**
+ * Render the last saved response for a tab while fresh data loads (stale-while-revalidate)
+ * @param {string} tabName - Tab to render into
+ * @param {string} endpoint - API endpoint the response came from
+ * @param {Object} params - Parameters identifying the response
+ * @returns {Promise<Object|null>} The cache entry that was rendered, or null if none
+ */
+async function showCachedResponse(tabName, endpoint, params, profileId = STATE.profileId) {
+  const entry = await ResponseCache.get(tabName, endpoint, params, profileId);
+  if (!entry || !entry.data || !entry.data.html || isOtherProfileLoad(profileId)) {
+    return null;
+  }
+
+  BMA_LOG.log(`[Response Cache] Showing saved ${tabName} data from`, new Date(entry.savedAt).toLocaleTimeString());
+  showData(tabName, entry.data.html);
+  updateBadge(tabName, entry.data.critical_count || 0, entry.data.warning_count || 0);
+  markTabStale(tabName, entry.savedAt);
+  return entry;
+}
+
+/**
+ * Flag the tab footer as showing saved (stale) data
+ * @param {string} tabName - Tab name
+ * @param {number} savedAt - When the saved data was fetched (Date.now())
+ * @param {boolean} offline - True when revalidation failed and the saved data is being kept
+ */
+function markTabStale(tabName, savedAt, offline = false) {
+  const tabContent = document.querySelector(`[data-content="${tabName}"]`);
+  const footer = tabContent.querySelector(tabName === 'summary' ? '.summary-countdown' : '.tab-last-updated');
+  if (!footer) return;
+
+  const minutes = Math.floor((Date.now() - savedAt) / 60000);
+  const age = formatTimeSince(minutes).toLowerCase();
+  const message = offline
+    ? `Couldn't refresh - showing saved data from ${age}`
+    : `Showing saved data from ${age}, refreshing...`;
+
+  footer.classList.remove('hidden');
+  footer.classList.add('stale-indicator');
+  footer.title = message;
+  footer.querySelector('.last-updated-text').textContent = message;
+}
+
+/**
+ * Remove the stale flag once fresh data has been rendered
+ * @param {string} tabName - Tab name
+ */
+function clearTabStale(tabName) {
+  const tabContent = document.querySelector(`[data-content="${tabName}"]`);
+  tabContent.querySelectorAll('.summary-countdown, .tab-last-updated').forEach(footer => {
+    footer.classList.remove('stale-indicator');
+    footer.removeAttribute('title');
+  });
 }
 
 function updateBadge(tabName, criticalCount, warningCount) {
   BMA_LOG.log(`Updating badge for ${tabName}: critical=${criticalCount}, warning=${warningCount}`);
   STATE.badges[tabName] = { critical: criticalCount, warning: warningCount };
+  if ((tabName === 'restaurant' || tabName === 'checks') && STATE.currentBookingId) {
+    PinnedBookings.updateCounts(STATE.currentBookingId, tabName, criticalCount, warningCount);
+  }
   const badgeElement = document.querySelector(`[data-badge="${tabName}"]`);
 
   if (!badgeElement) {
@@ -3385,12 +4273,18 @@ function updateBadge(tabName, criticalCount, warningCount) {
 }
 
 // Tab Management
-function switchTab(tabName) {
-  // Save current scroll position before switching
+/**
+ * Switch the visible tab and load its content
+ * @param {string} tabName - Tab to show
+ * @param {boolean} fromJump - True when reached via a cross-tab link (recorded in navigation history)
+ */
+function switchTab(tabName, fromJump = false) {
+  // Save current scroll position before switching
   const currentContent = document.querySelector(`[data-content="${STATE.currentTab}"]`);
   if (currentContent) {
     STATE.scrollPositions[STATE.currentTab] = currentContent.scrollTop;
   }
+  NavigationHistory.saveCurrentView();
 
   // Update state
   STATE.currentTab = tabName;
@@ -3427,6 +4321,8 @@ function switchTab(tabName) {
     startInactivityTimer();
   }
 
+  NavigationHistory.record(fromJump);
+
   // Restore scroll position after a short delay
   setTimeout(() => {
     const newContent = document.querySelector(`[data-content="${tabName}"]`);
@@ -3445,6 +4341,7 @@ async function loadSummaryTab(force_refresh = false) {
 
   // Determine if this is auto-refresh (called automatically, not by user)
   const isAutoRefresh = force_refresh === false && typeof force_refresh === 'boolean';
+  const profileId = STATE.profileId;
 
   // Smart refresh: Check if we're already showing Summary tab content
   // Skip smart refresh if force_refresh is true
@@ -3456,8 +4353,8 @@ async function loadSummaryTab(force_refresh = false) {
 
     try {
       // Fetch data silently in background
-      const api = new APIClient(STATE.settings);
-      const newData = await api.fetchSummary(force_refresh);
+      const newData = await window.apiClient.fetchSummary(force_refresh);
+      if (isOtherProfileLoad(profileId)) return;
 
       if (newData.success && newData.html) {
         // Compare HTML content
@@ -3480,14 +4377,30 @@ async function loadSummaryTab(force_refresh = false) {
     }
   }
 
+  const cacheParams = { limit: STATE.settings.recentBookingsCount || 10 };
+  let cachedEntry = null;
+
   try {
+    // Nothing loaded yet this session (e.g. panel just reopened) - show last saved summary straight away
+    if (!STATE.cache.summary) {
+      cachedEntry = await showCachedResponse('summary', '/summary', cacheParams, profileId);
+      if (isOtherProfileLoad(profileId)) return;
+      if (cachedEntry) {
+        STATE.lastSummaryUpdate = cachedEntry.savedAt;
+      }
+    }
+
     // Only show loading spinner on first load, not on auto-refresh
-    if (!isAutoRefresh) {
+    if (!isAutoRefresh && !cachedEntry) {
       showLoading('summary');
     }
 
-    const api = new APIClient(STATE.settings);
-    const data = await api.fetchSummary(force_refresh);
+    const data = await window.apiClient.fetchSummary(force_refresh);
+
+    if (isOtherProfileLoad(profileId)) {
+      BMA_LOG.log('Discarding summary response for previous profile', profileId);
+      return;
+    }
 
     if (data.success && data.html) {
       // Check if data has changed (compare counts instead of HTML to avoid false positives)
@@ -3504,15 +4417,8 @@ async function loadSummaryTab(force_refresh = false) {
       // 1. Data has changed, OR
       // 2. This is NOT an auto-refresh (manual tab switch or first load)
       if (hasChanged || !isAutoRefresh) {
-        showData('summary', data.html);
-        updateBadge('summary', data.critical_count || 0, data.warning_count || 0);
-        STATE.cache.summary = data;
-        STATE.loadedBookingIds.summary = true;
-        STATE.lastSummaryUpdate = Date.now(); // Track update time only when data changes
+        renderSummaryData(data); // Track update time only when data changes
         BMA_LOG.log(hasChanged ? 'Summary updated with new data' : 'Summary displayed (no change but manual load)');
-
-        // Initialize group hover functionality
-        initializeGroupHover();
       } else {
         // Only skip display during auto-refresh when nothing changed
         BMA_LOG.log('Summary unchanged during auto-refresh - showing no changes message');
@@ -3527,12 +4433,53 @@ async function loadSummaryTab(force_refresh = false) {
       showError('summary', 'Invalid response from API');
     }
   } catch (error) {
+    if (isOtherProfileLoad(profileId)) return;
     BMA_LOG.error('Error loading summary:', error);
-    showError('summary', error.message);
+    if (cachedEntry) {
+      // Keep showing the saved summary and try again on the next countdown
+      showSummaryCountdown();
+      markTabStale('summary', cachedEntry.savedAt, true);
+    } else {
+      showError('summary', error.message);
+    }
   }
 }
 
+/**
+ * Show a Summary result and remember it (loaded, or broadcast by the data store)
+ * @param {Object} data - /summary response
+ * @param {number} updatedAt - When it was fetched
+ */
+function renderSummaryData(data, updatedAt = Date.now()) {
+  showData('summary', data.html);
+  updateBadge('summary', data.critical_count || 0, data.warning_count || 0);
+  STATE.cache.summary = data;
+  STATE.loadedBookingIds.summary = true;
+  STATE.lastSummaryUpdate = updatedAt;
+  ResponseCache.set('summary', '/summary', { limit: STATE.settings.recentBookingsCount || 10 }, data, STATE.profileId);
+  clearTabStale('summary');
+}
+
+// The background's summary poll (background.js) - every panel gets its result from the data store
+const SUMMARY_POLL_ALARM = 'summaryPoll';
+const SUMMARY_IDLE_RESUME_MINUTES = 5; // Updates replace expanded cards again after this long idle
+
+/**
+ * Is the user reading expanded booking cards? Summary updates wait until they've been idle
+ * for SUMMARY_IDLE_RESUME_MINUTES, assuming they've left after that
+ * @returns {boolean}
+ */
+function isSummaryReadingPaused() {
+  if (document.querySelectorAll('.booking-card.expanded').length === 0) return false;
+  const idleMinutes = (Date.now() - STATE.lastSummaryInteraction) / 1000 / 60;
+  return idleMinutes < SUMMARY_IDLE_RESUME_MINUTES;
+}
+
+// Count down to the background's next summary poll (the update arrives through handleStoreUpdate)
 function showSummaryCountdown() {
+  // Polling is paused until the sign-in prompt is answered
+  if (SignInPrompt.visible) return;
+
   const countdownElement = document.querySelector('[data-content="summary"] .summary-countdown');
   const countdownText = countdownElement.querySelector('.countdown-text');
 
@@ -3543,39 +4490,43 @@ function showSummaryCountdown() {
     clearInterval(STATE.timers.summaryCountdown);
   }
 
-  let secondsLeft = STATE.settings.summaryRefreshRate;
-  updateCountdownText(countdownText, secondsLeft);
+  // Until the alarm is read (or if there is none), assume a poll one refresh interval away
+  let nextPoll = Date.now() + STATE.settings.summaryRefreshRate * 1000;
+  let pausedMessageUntil = 0;
+  const syncWithAlarm = () => {
+    chrome.alarms.get(SUMMARY_POLL_ALARM).then(alarm => {
+      if (alarm && alarm.scheduledTime > Date.now()) {
+        nextPoll = alarm.scheduledTime;
+      }
+    }).catch(error => {
+      BMA_LOG.log('Could not read summary poll alarm:', error.message);
+    });
+  };
+  const secondsUntilPoll = () => Math.max(0, Math.ceil((nextPoll - Date.now()) / 1000));
+
+  syncWithAlarm();
+  updateCountdownText(countdownText, secondsUntilPoll());
 
   STATE.timers.summaryCountdown = setInterval(() => {
-    secondsLeft--;
-    updateCountdownText(countdownText, secondsLeft);
+    if (Date.now() < pausedMessageUntil) return;
 
-    if (secondsLeft <= 0) {
-      // Check if any booking cards are expanded (user is reading)
-      const expandedCards = document.querySelectorAll('.booking-card.expanded');
-      if (expandedCards.length > 0) {
-        // Check how long since last user interaction
-        const idleMinutes = (Date.now() - STATE.lastSummaryInteraction) / 1000 / 60;
-        const maxIdleMinutes = 5; // Resume refresh after 5 minutes of inactivity
-
-        if (idleMinutes >= maxIdleMinutes) {
-          // User has been idle too long - assume they've left, resume refresh
-          BMA_LOG.log(`Auto-refresh resuming - user idle for ${idleMinutes.toFixed(1)} minutes`);
-          loadSummaryTab(true); // Pass true to indicate auto-refresh
-        } else {
-          // Don't refresh while user is reading - reset countdown
-          BMA_LOG.log('Auto-refresh paused - user has expanded booking cards');
-          const idleSecondsRemaining = Math.ceil((maxIdleMinutes - idleMinutes) * 60);
-          countdownText.innerHTML = `<strong style="color: #f59e0b;">⏸ Auto-refresh paused (booking expanded)</strong><br><span style="font-size: 11px; color: #6b7280;">Resumes after ${Math.ceil(idleSecondsRemaining / 60)}min idle</span>`;
-          setTimeout(() => {
-            secondsLeft = STATE.settings.summaryRefreshRate;
-            updateCountdownText(countdownText, secondsLeft);
-          }, 2000);
-        }
-      } else {
-        loadSummaryTab(true); // Pass true to indicate auto-refresh
-      }
+    const secondsLeft = secondsUntilPoll();
+    if (secondsLeft > 0) {
+      updateCountdownText(countdownText, secondsLeft);
+      return;
+    }
+
+    // Poll due - count down to the one after
+    if (isSummaryReadingPaused()) {
+      // Don't refresh while user is reading
+      BMA_LOG.log('Auto-refresh paused - user has expanded booking cards');
+      const idleMinutes = (Date.now() - STATE.lastSummaryInteraction) / 1000 / 60;
+      const idleSecondsRemaining = Math.ceil((SUMMARY_IDLE_RESUME_MINUTES - idleMinutes) * 60);
+      countdownText.innerHTML = `<strong style="color: #f59e0b;">⏸ Auto-refresh paused (booking expanded)</strong><br><span style="font-size: 11px; color: #6b7280;">Resumes after ${Math.ceil(idleSecondsRemaining / 60)}min idle</span>`;
+      pausedMessageUntil = Date.now() + 2000;
     }
+    nextPoll = Date.now() + STATE.settings.summaryRefreshRate * 1000;
+    syncWithAlarm();
   }, 1000);
 }
 
@@ -3693,8 +4644,7 @@ async function loadRestaurantTab(force_refresh = true) {
 
     try {
       // Fetch data silently in background
-      const api = new APIClient(STATE.settings);
-      const newData = await api.fetchRestaurantMatch(STATE.currentBookingId, force_refresh);
+      const newData = await window.apiClient.fetchRestaurantMatch(STATE.currentBookingId, force_refresh);
 
       if (newData.success && newData.html) {
         // Compare HTML content
@@ -3718,16 +4668,32 @@ async function loadRestaurantTab(force_refresh = true) {
     }
   }
 
+  const generation = STATE.bookingGeneration;
+  const cacheParams = { booking_id: STATE.currentBookingId };
+  let cachedEntry = null;
+
   try {
-    showLoading('restaurant');
-    const api = new APIClient(STATE.settings);
-    const data = await api.fetchRestaurantMatch(STATE.currentBookingId, force_refresh);
+    if (STATE.loadedBookingIds.restaurant !== STATE.currentBookingId) {
+      cachedEntry = await showCachedResponse('restaurant', '/bookings/match', cacheParams);
+      if (isSupersededLoad(generation)) return;
+    }
+    if (!cachedEntry) {
+      showLoading('restaurant');
+    }
+    const data = await window.apiClient.fetchRestaurantMatch(cacheParams.booking_id, force_refresh);
+
+    if (isSupersededLoad(generation)) {
+      BMA_LOG.log('Discarding restaurant response for previous booking', cacheParams.booking_id);
+      return;
+    }
 
     if (data.success && data.html) {
       showData('restaurant', data.html);
       updateBadge('restaurant', data.critical_count || 0, data.warning_count || 0);
       STATE.cache.restaurant = data;
-      STATE.loadedBookingIds.restaurant = STATE.currentBookingId;
+      STATE.loadedBookingIds.restaurant = cacheParams.booking_id;
+      ResponseCache.set('restaurant', '/bookings/match', cacheParams, data);
+      clearTabStale('restaurant');
 
       // Update last updated timestamp and display
       STATE.lastRestaurantUpdate = Date.now();
@@ -3755,8 +4721,18 @@ async function loadRestaurantTab(force_refresh = true) {
       STATE.loadedBookingIds.restaurant = null;
     }
   } catch (error) {
+    if (error.aborted) {
+      BMA_LOG.log('Restaurant tab load cancelled (booking changed)');
+      return;
+    }
+    if (isSupersededLoad(generation)) return;
     BMA_LOG.error('Error loading restaurant tab:', error);
-    showError('restaurant', error.message);
+    if (cachedEntry) {
+      markTabStale('restaurant', cachedEntry.savedAt, true);
+      processNavigationContext();
+    } else {
+      showError('restaurant', error.message);
+    }
     STATE.loadedBookingIds.restaurant = null;
   }
 }
@@ -3780,14 +4756,15 @@ async function loadChecksTab(force_refresh = true) {
   const isChecksTabActive = STATE.currentTab === 'checks';
   const isSameBooking = STATE.loadedBookingIds.checks === STATE.currentBookingId;
   const hasExistingData = STATE.cache.checks && STATE.cache.checks.html;
+  const generation = STATE.bookingGeneration;
 
   if (!force_refresh && isChecksTabActive && isSameBooking && hasExistingData) {
     BMA_LOG.log('Smart refresh: Same booking already loaded in Checks, checking for changes...');
 
     try {
       // Fetch data silently in background
-      const api = new APIClient(STATE.settings);
-      const newData = await api.fetchChecks(STATE.currentBookingId, force_refresh);
+      const newData = await window.apiClient.fetchChecks(STATE.currentBookingId, force_refresh);
+      if (isSupersededLoad(generation)) return;
 
       if (newData.success && newData.html) {
         // Compare HTML content
@@ -3805,39 +4782,41 @@ async function loadChecksTab(force_refresh = true) {
         }
       }
     } catch (error) {
+      if (error.aborted) return;
       BMA_LOG.error('Smart refresh check failed for Checks, proceeding with normal load:', error);
       // Fall through to normal load on error
     }
   }
 
+  const cacheParams = { booking_id: STATE.currentBookingId };
+  let cachedEntry = null;
+
   try {
-    showLoading('checks');
-    const api = new APIClient(STATE.settings);
-    const data = await api.fetchChecks(STATE.currentBookingId, force_refresh);
+    if (STATE.loadedBookingIds.checks !== STATE.currentBookingId) {
+      cachedEntry = await showCachedResponse('checks', '/checks', cacheParams);
+      if (isSupersededLoad(generation)) return;
+    }
+    if (!cachedEntry) {
+      showLoading('checks');
+    }
+    const data = await window.apiClient.fetchChecks(cacheParams.booking_id, force_refresh);
+
+    if (isSupersededLoad(generation)) {
+      BMA_LOG.log('Discarding checks response for previous booking', cacheParams.booking_id);
+      return;
+    }
 
     if (data.success && data.html) {
       showData('checks', data.html);
       updateBadge('checks', data.critical_count || 0, data.warning_count || 0);
       STATE.cache.checks = data;
-      STATE.loadedBookingIds.checks = STATE.currentBookingId;
+      STATE.loadedBookingIds.checks = cacheParams.booking_id;
+      ResponseCache.set('checks', '/checks', cacheParams, data);
+      clearTabStale('checks');
 
       // Update last updated timestamp and display
       STATE.lastChecksUpdate = Date.now();
       updateTabLastUpdated('checks', STATE.lastChecksUpdate);
-
-      // Attach event listeners for the checks tab
-      const checksTab = document.querySelector('[data-content="checks"] .tab-data');
-      if (checksTab) {
-        // Open booking in NewBook button
-        const openBookingBtn = checksTab.querySelector('.open-booking-btn');
-        if (openBookingBtn) {
-          openBookingBtn.addEventListener('click', function() {
-            const bookingId = this.dataset.bookingId;
-            const url = `https://appeu.newbook.cloud/bookings_view/${bookingId}`;
-            chrome.tabs.update({ url: url });
-          });
-        }
-      }
     } else if (data.success && !data.html) {
       showEmpty('checks');
       updateBadge('checks', 0, 0);
@@ -3847,8 +4826,17 @@ async function loadChecksTab(force_refresh = true) {
       STATE.loadedBookingIds.checks = null;
     }
   } catch (error) {
+    if (error.aborted) {
+      BMA_LOG.log('Checks tab load cancelled (booking changed)');
+      return;
+    }
+    if (isSupersededLoad(generation)) return;
     BMA_LOG.error('Error loading checks tab:', error);
-    showError('checks', error.message);
+    if (cachedEntry) {
+      markTabStale('checks', cachedEntry.savedAt, true);
+    } else {
+      showError('checks', error.message);
+    }
     STATE.loadedBookingIds.checks = null;
   }
 }
@@ -3890,20 +4878,21 @@ function resetInactivityTimer() {
 function handleBookingDetected(bookingId) {
   BMA_LOG.log('Booking detected, updating sidepanel for booking:', bookingId);
 
-  // Clear loadedBookingIds only if switching to a different booking
-  if (STATE.currentBookingId !== bookingId) {
-    BMA_LOG.log('Booking changed from', STATE.currentBookingId, 'to', bookingId, '- clearing loaded tracking');
-    STATE.loadedBookingIds.restaurant = null;
-    STATE.loadedBookingIds.checks = null;
-  }
-
-  STATE.currentBookingId = bookingId;
+  // Clears loadedBookingIds only if switching to a different booking
+  setCurrentBooking(bookingId);
+  const generation = STATE.bookingGeneration;
 
   // Load both Restaurant and Checks tabs in parallel
   Promise.all([
     loadRestaurantTabSilently(),
     loadChecksTabSilently()
   ]).then(([restaurantData, checksData]) => {
+    // A newer booking was detected while these were loading - let its handler pick the tab
+    if (isSupersededLoad(generation)) {
+      BMA_LOG.log('Booking data load superseded by a newer booking');
+      return;
+    }
+
     // Determine which tab to switch to based on priority
     const restaurantCritical = restaurantData?.critical_count || 0;
     const restaurantWarning = restaurantData?.warning_count || 0;
@@ -3937,18 +4926,46 @@ function handleBookingDetected(bookingId) {
       switchTab('restaurant');
     }
   }).catch(error => {
+    if (error.aborted) {
+      BMA_LOG.log('Booking data load superseded by a newer booking');
+      return;
+    }
     BMA_LOG.error('Error loading booking data:', error);
   });
 }
 
+/**
+ * Check whether a load was started for a booking that is no longer current
+ * @param {number} generation - STATE.bookingGeneration captured when the load started
+ * @returns {boolean} True if the response should be discarded
+ */
+function isSupersededLoad(generation) {
+  return generation !== STATE.bookingGeneration;
+}
+
+/**
+ * Check whether a load was started for a profile that is no longer shown (Summary and Staying
+ * don't belong to a booking, so switching profile is what makes them stale)
+ * @param {string} profileId - STATE.profileId captured when the load started
+ * @returns {boolean} True if the response should be discarded
+ */
+function isOtherProfileLoad(profileId) {
+  return profileId !== STATE.profileId;
+}
+
 async function loadRestaurantTabSilently() {
+  const generation = STATE.bookingGeneration;
+  const bookingId = STATE.currentBookingId;
+
   try {
-    const api = new APIClient(STATE.settings);
-    const data = await api.fetchRestaurantMatch(STATE.currentBookingId);
+    const data = await window.apiClient.fetchRestaurantMatch(bookingId);
+    if (isSupersededLoad(generation)) return null;
+
     BMA_LOG.log('Restaurant data loaded, critical:', data.critical_count, 'warning:', data.warning_count);
     BMA_LOG.log('Full restaurant API response:', JSON.stringify(data, null, 2));
     updateBadge('restaurant', data.critical_count || 0, data.warning_count || 0);
     STATE.cache.restaurant = data;
+    ResponseCache.set('restaurant', '/bookings/match', { booking_id: bookingId }, data);
 
     // Store restaurant bookings by date for Gantt chart
     if (data.bookings_by_date) {
@@ -3958,43 +4975,51 @@ async function loadRestaurantTabSilently() {
 
     return data;
   } catch (error) {
+    if (error.aborted) throw error;
+    if (isSupersededLoad(generation)) return null;
     BMA_LOG.error('Error loading restaurant data:', error);
     return null;
   }
 }
 
 async function loadChecksTabSilently() {
+  const generation = STATE.bookingGeneration;
+  const bookingId = STATE.currentBookingId;
+
   try {
-    const api = new APIClient(STATE.settings);
-    const data = await api.fetchChecks(STATE.currentBookingId);
+    const data = await window.apiClient.fetchChecks(bookingId);
+    if (isSupersededLoad(generation)) return null;
+
     BMA_LOG.log('Checks data loaded, critical:', data.critical_count, 'warning:', data.warning_count);
     BMA_LOG.log('Full checks API response:', JSON.stringify(data, null, 2));
     updateBadge('checks', data.critical_count || 0, data.warning_count || 0);
     STATE.cache.checks = data;
+    ResponseCache.set('checks', '/checks', { booking_id: bookingId }, data);
     return data;
   } catch (error) {
+    if (error.aborted) throw error;
+    if (isSupersededLoad(generation)) return null;
     BMA_LOG.error('Error loading checks data:', error);
     return null;
   }
 }
 
 async function loadStayingTabSilently(date = null) {
+  const profileId = STATE.profileId;
+
   try {
     const targetDate = date || STATE.stayingDate;
-    const api = new APIClient(STATE.settings);
-    const response = await fetch(`${api.baseUrl}/staying?date=${targetDate}`, {
-      headers: {
-        'Authorization': api.authHeader
-      }
-    });
+    const data = await window.apiClient.fetchStaying(targetDate);
+    if (isOtherProfileLoad(profileId)) return null;
 
-    const data = await response.json();
     BMA_LOG.log('Staying data loaded silently for date:', targetDate, 'critical:', data.critical_count, 'warning:', data.warning_count);
     updateBadge('staying', data.critical_count || 0, data.warning_count || 0);
     STATE.cache.staying = data;
     STATE.loadedBookingIds.staying = targetDate;
+    ResponseCache.set('staying', '/staying', { date: targetDate }, data, profileId);
     return data;
   } catch (error) {
+    if (isOtherProfileLoad(profileId)) return null;
     BMA_LOG.error('Error loading staying data silently:', error);
     return null;
   }
@@ -4013,6 +5038,7 @@ async function loadStayingTab(date = null, force_refresh = false) {
 
   const targetDate = date || STATE.stayingDate;
   STATE.stayingDate = targetDate;
+  const profileId = STATE.profileId;
 
   // Update date input
   const dateInput = document.getElementById('staying-date-input');
@@ -4031,14 +5057,8 @@ async function loadStayingTab(date = null, force_refresh = false) {
 
     try {
       // Fetch data silently in background
-      const api = new APIClient(STATE.settings);
-      const response = await fetch(`${api.baseUrl}/staying?date=${targetDate}&force_refresh=${force_refresh}`, {
-        headers: {
-          'Authorization': api.authHeader
-        }
-      });
-
-      const newData = await response.json();
+      const newData = await window.apiClient.fetchStaying(targetDate, force_refresh);
+      if (isOtherProfileLoad(profileId)) return;
 
       if (newData.success && newData.html) {
         // Compare HTML content
@@ -4061,36 +5081,35 @@ async function loadStayingTab(date = null, force_refresh = false) {
     }
   }
 
-  showLoading('staying');
+  const cacheParams = { date: targetDate };
+  let cachedEntry = null;
 
   try {
-    const api = new APIClient(STATE.settings);
-    const response = await fetch(`${api.baseUrl}/staying?date=${targetDate}&force_refresh=${force_refresh}`, {
-      headers: {
-        'Authorization': api.authHeader
-      }
-    });
+    if (STATE.loadedBookingIds.staying !== targetDate) {
+      cachedEntry = await showCachedResponse('staying', '/staying', cacheParams, profileId);
+      if (isOtherProfileLoad(profileId)) return;
+    }
+    if (!cachedEntry) {
+      showLoading('staying');
+    }
+    const data = await window.apiClient.fetchStaying(targetDate, force_refresh);
 
-    const data = await response.json();
+    if (isOtherProfileLoad(profileId)) {
+      BMA_LOG.log('Discarding staying response for previous profile', profileId);
+      return;
+    }
 
     if (data.success && data.html) {
       showData('staying', data.html);
       updateBadge('staying', data.critical_count || 0, data.warning_count || 0);
       STATE.cache.staying = data;
       STATE.loadedBookingIds.staying = targetDate;
+      ResponseCache.set('staying', '/staying', cacheParams, data, profileId);
+      clearTabStale('staying');
 
       // Update last updated timestamp and display
       STATE.lastStayingUpdate = Date.now();
       updateTabLastUpdated('staying', STATE.lastStayingUpdate);
-
-      // Initialize group hover functionality
-      initializeGroupHover();
-
-      // Reset group filter when loading new date
-      window.activeGroupFilter = null;
-
-      // Initialize card expand/collapse
-      initializeStayingCards();
     } else if (data.success && (!data.html || data.html.trim() === '')) {
       showEmpty('staying');
       STATE.loadedBookingIds.staying = null;
@@ -4099,8 +5118,13 @@ async function loadStayingTab(date = null, force_refresh = false) {
       STATE.loadedBookingIds.staying = null;
     }
   } catch (error) {
+    if (isOtherProfileLoad(profileId)) return;
     BMA_LOG.error('Error loading staying tab:', error);
-    showError('staying', error.message);
+    if (cachedEntry) {
+      markTabStale('staying', cachedEntry.savedAt, true);
+    } else {
+      showError('staying', error.message);
+    }
     STATE.loadedBookingIds.staying = null;
   }
 }
@@ -4173,7 +5197,7 @@ function initializeStayingCards() {
     button.addEventListener('click', function(e) {
       e.stopPropagation();
       const bookingId = this.dataset.bookingId;
-      const url = `https://appeu.newbook.cloud/bookings_view/${bookingId}`;
+      const url = NewBookHosts.bookingUrl(bookingId, STATE.settings);
       chrome.tabs.update({ url: url });
     });
   });
@@ -4234,7 +5258,7 @@ function initializeStayingCards() {
         navigateToRestaurantDate(date, parseInt(bookingId), resosId);
       } else {
         // Fallback if data attributes not available (shouldn't happen with updated templates)
-        STATE.currentBookingId = bookingId;
+        setCurrentBooking(bookingId);
         switchTab('restaurant');
       }
     });
@@ -4509,7 +5533,9 @@ function changeStayingDate(offset) {
   const currentDate = new Date(STATE.stayingDate);
   currentDate.setDate(currentDate.getDate() + offset);
   const newDate = currentDate.toISOString().split('T')[0];
+  NavigationHistory.saveCurrentView();
   loadStayingTab(newDate);
+  NavigationHistory.record();
 }
 
 /**
@@ -4523,7 +5549,9 @@ function initializeStayingDatePicker() {
   if (dateInput) {
     dateInput.value = STATE.stayingDate;
     dateInput.addEventListener('change', function() {
+      NavigationHistory.saveCurrentView();
       loadStayingTab(this.value);
+      NavigationHistory.record();
     });
   }
 
@@ -4578,182 +5606,1527 @@ function initializeRefreshButtons() {
   });
 }
 
-// Message Listener
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  BMA_LOG.log('Sidepanel received message:', message);
+// =============================================================================
+// Booking Search
+// =============================================================================
 
-  if (message.action === 'bookingDetected') {
-    BMA_LOG.log('Processing bookingDetected message, source:', message.source);
-    handleBookingDetected(message.bookingId);
-  } else if (message.action === 'plannerClick') {
-    if (STATE.settings?.enablePlannerClickUpdate) {
-      BMA_LOG.log('Processing plannerClick message (setting enabled)');
-      handleBookingDetected(message.bookingId);
-    } else {
-      BMA_LOG.log('Ignoring plannerClick message (setting disabled)');
-    }
-  } else if (message.action === 'sessionLockChanged') {
-    BMA_LOG.log('Processing sessionLockChanged message:', message.isLocked);
-    AuthManager.handleSessionLock(message.isLocked);
-  } else if (message.action === 'settingsUpdated') {
-    BMA_LOG.log('Settings updated, reloading current tab');
-    loadSettings().then(() => {
-      // Reinitialize global API client with new settings
-      window.apiClient = new APIClient(STATE.settings);
-      BMA_LOG.log('Global apiClient reinitialized after settings update');
-
-      // Reload current tab
-      if (STATE.currentTab === 'summary') {
-        loadSummaryTab();
-      } else if (STATE.currentTab === 'restaurant') {
-        loadRestaurantTab();
-      } else if (STATE.currentTab === 'checks') {
-        loadChecksTab();
-      } else if (STATE.currentTab === 'staying') {
-        loadStayingTab();
+const BOOKING_SEARCH_DEBOUNCE = 300; // ms after the last keystroke before searching
+const BOOKING_SEARCH_MIN_LENGTH = 2; // Shorter text only searches if it's a number (room / booking ID)
+
+// Search box at the top of the panel - loads the chosen booking into the panel without
+// navigating the NewBook tab (so the planner position isn't lost)
+const BookingSearch = {
+  input: null,
+  clearBtn: null,
+  resultsElement: null,
+  results: [],
+  selectedIndex: -1,
+  debounceTimer: null,
+  lastQuery: '',
+
+  init() {
+    this.input = document.getElementById('booking-search-input');
+    this.clearBtn = document.querySelector('.booking-search-clear');
+    this.resultsElement = document.querySelector('.booking-search-results');
+
+    this.input.addEventListener('input', () => {
+      this.clearBtn.classList.toggle('hidden', this.input.value === '');
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(() => this.search(this.input.value), BOOKING_SEARCH_DEBOUNCE);
+    });
+
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        this.select(this.selectedIndex + 1);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.select(this.selectedIndex - 1);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        clearTimeout(this.debounceTimer);
+        if (this.selectedIndex >= 0) {
+          this.choose(this.results[this.selectedIndex]);
+        } else {
+          this.search(this.input.value);
+        }
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.clear();
+        this.input.blur();
       }
     });
-  }
-});
 
-// Load Settings
-async function loadSettings() {
-  try {
-    const result = await chrome.storage.sync.get('settings');
-    BMA_LOG.log('loadSettings - result:', result);
-    BMA_LOG.log('loadSettings - settings:', result.settings);
-    if (result.settings && result.settings.apiRootUrl) {
-      STATE.settings = result.settings;
-      BMA_LOG.log('Settings loaded successfully:', STATE.settings);
-      BMA_LOG.log('recentBookingsCount:', STATE.settings.recentBookingsCount);
-      return true;
-    } else {
-      showError('summary', 'Please configure API settings first');
-      return false;
-    }
-  } catch (error) {
-    BMA_LOG.error('Error loading settings:', error);
-    showError('summary', 'Error loading settings');
-    return false;
-  }
-}
+    // Re-show the last results when the field is focused again
+    this.input.addEventListener('focus', () => {
+      if (this.results.length > 0 && this.input.value.trim() === this.lastQuery) {
+        this.resultsElement.classList.remove('hidden');
+      }
+    });
 
-// Event Listeners
-document.querySelectorAll('.tab-button').forEach(button => {
-  button.addEventListener('click', () => {
-    switchTab(button.dataset.tab);
-  });
-});
+    this.clearBtn.addEventListener('click', () => {
+      this.clear();
+      this.input.focus();
+    });
 
-document.querySelectorAll('.retry-button').forEach(button => {
-  button.addEventListener('click', () => {
-    const tabContent = button.closest('.tab-content');
-    const tabName = tabContent.dataset.content;
+    this.resultsElement.addEventListener('click', (e) => {
+      const resultElement = e.target.closest('.booking-search-result');
+      if (resultElement) {
+        this.choose(this.results[parseInt(resultElement.dataset.index)]);
+      }
+    });
 
-    if (tabName === 'summary') {
-      loadSummaryTab();
-    } else if (tabName === 'restaurant') {
-      loadRestaurantTab();
-    } else if (tabName === 'checks') {
-      loadChecksTab();
-    }
-  });
-});
+    // Close results when clicking anywhere else in the panel
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('.booking-search')) {
+        this.resultsElement.classList.add('hidden');
+      }
+    });
+  },
 
-// ============================================
-// GROUP MANAGEMENT MODAL
-// ============================================
+  /**
+   * Query the API for bookings matching the text
+   * @param {string} text - Surname, room number, booking ID or ResOS reference
+   */
+  async search(text) {
+    const query = text.trim();
+    const isNumeric = /^\d+$/.test(query);
+
+    if (query.length < BOOKING_SEARCH_MIN_LENGTH && !(isNumeric && query.length > 0)) {
+      window.apiClient?.cancelGroup('search');
+      this.lastQuery = '';
+      this.results = [];
+      this.resultsElement.classList.add('hidden');
+      return;
+    }
 
-// Global state for group modal
-const GROUP_MODAL_STATE = {
-  resosBookingId: null,
-  hotelBookingId: null,
-  date: null,
-  bookings: [],
-  groups: {},
-  currentGroupId: null
-};
+    if (!window.apiClient) return;
 
-// Get API configuration for GROUP modal functions
-function getAPIConfig() {
-  if (window.apiClient) {
-    return {
-      baseUrl: window.apiClient.baseUrl,
-      authHeader: window.apiClient.authHeader
-    };
-  }
-  throw new Error('API client not initialized');
-}
+    // Only the latest search matters
+    window.apiClient.cancelGroup('search');
+    this.lastQuery = query;
+    this.showMessage('Searching...');
 
-// Open group management modal
-async function openGroupManagementModal(resosBookingId, hotelBookingId, date, resosTime = '', resosGuest = '', resosPeople = '0', resosBookingRef = '', groupExcludeField = '') {
-  const modal = document.getElementById('group-management-modal');
-  const resosInfo = document.getElementById('group-modal-resos-info');
-  const groupSection = document.getElementById('group-section-container');
-  const otherSection = document.getElementById('other-section-container');
-  const loading = modal.querySelector('.group-modal-loading');
-  const error = modal.querySelector('.group-modal-error');
-  const container = modal.querySelector('.group-bookings-container');
+    try {
+      const data = await window.apiClient.searchBookings(query);
+      if (query !== this.lastQuery) return;
 
-  // Store state
-  GROUP_MODAL_STATE.resosBookingId = resosBookingId;
-  GROUP_MODAL_STATE.hotelBookingId = hotelBookingId;
-  GROUP_MODAL_STATE.date = date;
-  GROUP_MODAL_STATE.resosBooking = { time: resosTime, guest_name: resosGuest, people: resosPeople };
-  GROUP_MODAL_STATE.leadBookingId = resosBookingRef; // The booking ID from ResOS "Booking #" field
+      this.results = data.success && Array.isArray(data.results) ? data.results : [];
+      this.render();
+    } catch (error) {
+      if (error.aborted) return;
+      BMA_LOG.error('Booking search failed:', error);
+      this.results = [];
+      this.showMessage(`Search failed: ${error.message}`, true);
+    }
+  },
 
-  console.log('BMA: openGroupManagementModal - resosBookingRef (lead):', resosBookingRef);
-  console.log('BMA: openGroupManagementModal - groupExcludeField raw:', groupExcludeField);
-  GROUP_MODAL_STATE.groupExcludeData = parseGroupExcludeField(groupExcludeField);
-  console.log('BMA: openGroupManagementModal - parsed groupExcludeData:', GROUP_MODAL_STATE.groupExcludeData);
+  render() {
+    this.selectedIndex = -1;
 
-  // Show modal
-  modal.classList.remove('hidden');
+    if (this.results.length === 0) {
+      this.showMessage('No bookings found');
+      return;
+    }
 
-  // Show ResOS booking info
-  console.log('BMA: ResOS data - time:', resosTime, 'guest:', resosGuest, 'people:', resosPeople);
-  const time = (resosTime && resosTime.trim()) || 'N/A';
-  const guestName = (resosGuest && resosGuest.trim()) || 'Unknown';
-  const people = resosPeople || '0';
-  resosInfo.innerHTML = `${time} - ${guestName} (${people} pax)`;
+    this.resultsElement.innerHTML = '';
+    this.results.forEach((result, index) => {
+      const item = document.createElement('div');
+      item.className = 'booking-search-result';
+      item.dataset.index = index;
+      if (String(result.booking_id) === String(STATE.currentBookingId)) {
+        item.classList.add('current');
+      }
 
-  // Show loading
-  loading.classList.remove('hidden');
-  container.classList.add('hidden');
-  error.classList.add('hidden');
+      const name = document.createElement('div');
+      name.className = 'booking-search-result-name';
+      name.textContent = result.guest_name || 'Unknown guest';
+
+      const details = document.createElement('div');
+      details.className = 'booking-search-result-details';
+      const parts = [`#${result.booking_id}`];
+      if (result.room) parts.push(`Room ${result.room}`);
+      if (result.arrival) parts.push(result.departure ? `${result.arrival} – ${result.departure}` : result.arrival);
+      if (result.status) parts.push(result.status);
+      details.textContent = parts.join(' · ');
+
+      item.append(name, details);
+
+      // Show which ResOS reservation matched when searching by ResOS reference
+      if (result.resos_booking_id) {
+        const resos = document.createElement('div');
+        resos.className = 'booking-search-result-resos';
+        resos.textContent = `ResOS ${result.resos_booking_id}`;
+        item.appendChild(resos);
+      }
 
-  try {
-    // Fetch bookings for date
-    const bookingsData = await fetchBookingsForDate(date);
+      this.resultsElement.appendChild(item);
+    });
 
-    GROUP_MODAL_STATE.bookings = bookingsData.bookings;
-    GROUP_MODAL_STATE.groups = bookingsData.groups;
+    this.resultsElement.classList.remove('hidden');
+  },
 
-    // Find current booking's group
-    const currentBooking = bookingsData.bookings.find(b => b.booking_id == hotelBookingId);
-    GROUP_MODAL_STATE.currentGroupId = currentBooking?.bookings_group_id || null;
+  /**
+   * Show a single status line in place of results
+   * @param {string} message - Text to show
+   * @param {boolean} isError - Style as an error
+   */
+  showMessage(message, isError = false) {
+    this.resultsElement.innerHTML = '';
+    const messageElement = document.createElement('div');
+    messageElement.className = 'booking-search-message' + (isError ? ' error' : '');
+    messageElement.textContent = message;
+    this.resultsElement.appendChild(messageElement);
+    this.resultsElement.classList.remove('hidden');
+  },
 
-    // Render bookings
-    renderGroupModal();
+  select(index) {
+    if (this.results.length === 0) return;
+    this.selectedIndex = (index + this.results.length) % this.results.length;
+    this.resultsElement.querySelectorAll('.booking-search-result').forEach((item, i) => {
+      item.classList.toggle('selected', i === this.selectedIndex);
+      if (i === this.selectedIndex) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  },
 
-    // Hide loading, show content
-    loading.classList.add('hidden');
-    container.classList.remove('hidden');
+  /**
+   * Load a search result into the Restaurant/Checks tabs
+   * @param {Object} result - Search result from the API
+   */
+  choose(result) {
+    if (!result) return;
+    BMA_LOG.log('Booking search: loading booking', result.booking_id);
+    this.resultsElement.classList.add('hidden');
+    this.input.blur();
+    handleBookingDetected(String(result.booking_id));
+  },
 
-  } catch (err) {
-    BMA_LOG.error('Error loading bookings:', err);
-    loading.classList.add('hidden');
-    error.classList.remove('hidden');
-    error.querySelector('.error-message').textContent = err.message || 'Failed to load bookings';
+  clear() {
+    clearTimeout(this.debounceTimer);
+    window.apiClient?.cancelGroup('search');
+    this.input.value = '';
+    this.lastQuery = '';
+    this.results = [];
+    this.selectedIndex = -1;
+    this.clearBtn.classList.add('hidden');
+    this.resultsElement.classList.add('hidden');
   }
-}
-
-// Parse GROUP/EXCLUDE field
-function parseGroupExcludeField(fieldValue) {
-  const result = {
-    groups: [],
-    excludes: []
-  };
+};
+
+// =============================================================================
+// Property Profiles
+// =============================================================================
+
+// Switcher above the search box, shown when settings have more than one profile. The
+// background also switches the panel (profileDetected) when its window moves to another
+// hotel's NewBook. Everything loaded for the previous profile is dropped on a switch.
+const ProfileSwitcher = {
+  selectElement: null,
+
+  init() {
+    this.selectElement = document.getElementById('profile-switcher');
+    this.selectElement.addEventListener('change', () => {
+      this.switchTo(this.selectElement.value);
+    });
+    this.render();
+  },
+
+  render() {
+    if (!this.selectElement) return;
+
+    const profiles = Profiles.list(STATE.storedSettings);
+    this.selectElement.innerHTML = profiles.map(profile =>
+      `<option value="${escapeHTML(profile.id)}">${escapeHTML(profile.name || profile.id)}</option>`
+    ).join('');
+    this.selectElement.value = STATE.profileId;
+    document.querySelector('.profile-bar').classList.toggle('hidden', profiles.length < 2);
+  },
+
+  /**
+   * Show another property profile
+   * The reset is synchronous so a bookingDetected that follows profileDetected loads
+   * against the new profile's API
+   * @param {string} profileId - Profile ID
+   * @param {Object} options - { detected: true when switched by the background, not by hand }
+   * @returns {boolean} True if the profile changed
+   */
+  switchTo(profileId, { detected = false } = {}) {
+    const profile = Profiles.get(STATE.storedSettings, profileId);
+    if (!profile || profile.id === STATE.profileId) return false;
+
+    BMA_LOG.log('Switching profile from', STATE.profileId, 'to', profile.id, detected ? '(detected)' : '(manual)');
+
+    // Abandon loads for the previous hotel (and its sign-in prompt - the new one asks if it needs to)
+    window.apiClient?.cancelGroup('booking');
+    SignInPrompt.hide();
+    STATE.bookingGeneration++;
+
+    STATE.profileId = profile.id;
+    STATE.settings = Profiles.resolve(STATE.storedSettings, profile.id);
+    window.apiClient = new APIClient(STATE.settings);
+
+    // Booking IDs, caches and counts all belong to the previous hotel
+    STATE.currentBookingId = null;
+    STATE.cache = { summary: null, restaurant: null, checks: null, staying: null };
+    STATE.loadedBookingIds = { restaurant: null, checks: null, summary: false, staying: null };
+    STATE.restaurantBookings = {};
+    STATE.lastSummaryUpdate = null;
+    STATE.lastRestaurantUpdate = null;
+    STATE.lastChecksUpdate = null;
+    STATE.lastStayingUpdate = null;
+    TAB_ORDER.forEach(tabName => updateBadge(tabName, 0, 0));
+    NavigationHistory.reset();
+
+    // Kept for the window so a reopened panel starts on the same profile
+    if (STATE.windowId !== null) {
+      chrome.storage.session.set({ [`windowProfile_${STATE.windowId}`]: profile.id }).catch(error => {
+        BMA_LOG.error('Error saving window profile:', error);
+      });
+    }
+
+    this.render();
+    PinnedBookings.load();
+    ActionLog.load();
+
+    switchTab(STATE.currentTab === 'staying' ? 'staying' : 'summary');
+    if (STATE.currentTab !== 'staying') {
+      loadStayingTabSilently();
+    }
+
+    if (detected) {
+      showToast(`Switched to ${escapeHTML(profile.name)}`, 'info');
+    }
+    return true;
+  }
+};
+
+// =============================================================================
+// Sign-In Prompt
+// =============================================================================
+
+// Shown over the panel when the API rejects the saved credentials (401 - application password
+// revoked or expired). Polling pauses (the background stops requests for the profile too), the
+// password is checked the same way as "Test Connection" on the settings page, saved on this
+// device, and loading resumes without going to the settings page.
+const SignInPrompt = {
+  visible: false,
+
+  /**
+   * Global 401 handler - show the prompt if an API error means the credentials were rejected
+   * @param {Error} error - APIError from the API client or the data store
+   */
+  handleError(error) {
+    if (error && error.status === 401 && error.code === 'http') {
+      this.show();
+    }
+  },
+
+  show() {
+    if (this.visible || !STATE.settings) return;
+    this.visible = true;
+    this.pausePolling();
+    BMA_LOG.warn('API rejected the saved credentials - asking to sign in again');
+
+    const profile = Profiles.get(STATE.storedSettings, STATE.profileId);
+    const forHotel = Profiles.list(STATE.storedSettings).length > 1 ? ` for ${escapeHTML(profile.name)}` : '';
+
+    const prompt = document.createElement('div');
+    prompt.id = 'bma-sign-in-prompt';
+    prompt.innerHTML = `
+      <form class="lock-screen-content sign-in-content">
+        <span class="material-symbols-outlined lock-icon">key</span>
+        <h2>Sign In Again</h2>
+        <p>The Booking Match API no longer accepts the saved password${forHotel}. Updates are paused until you sign in.</p>
+        <label for="sign-in-username">Username</label>
+        <input type="text" id="sign-in-username" autocomplete="username" value="${escapeHTML(profile.username)}">
+        <label for="sign-in-password">Application Password</label>
+        <input type="password" id="sign-in-password" autocomplete="current-password" placeholder="xxxx xxxx xxxx xxxx xxxx xxxx">
+        <div class="sign-in-status hidden"></div>
+        <button type="submit" class="lock-screen-btn">
+          <span class="material-symbols-outlined">login</span>
+          Test and Save
+        </button>
+        <button type="button" class="lock-screen-btn secondary" id="sign-in-settings-btn">
+          <span class="material-symbols-outlined">settings</span>
+          Open Settings
+        </button>
+      </form>
+    `;
+    document.body.appendChild(prompt);
+
+    prompt.querySelector('form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    document.getElementById('sign-in-settings-btn').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+    document.getElementById('sign-in-password').focus();
+  },
+
+  hide() {
+    document.getElementById('bma-sign-in-prompt')?.remove();
+    this.visible = false;
+  },
+
+  // Stop the Summary countdown and any scheduled stale-cache refresh until signed in
+  pausePolling() {
+    if (STATE.timers.summaryCountdown) {
+      clearInterval(STATE.timers.summaryCountdown);
+      STATE.timers.summaryCountdown = null;
+    }
+    if (STATE.timers.staleRefresh) {
+      clearTimeout(STATE.timers.staleRefresh);
+      STATE.timers.staleRefresh = null;
+    }
+    document.querySelector('[data-content="summary"] .summary-countdown')?.classList.add('hidden');
+  },
+
+  showStatus(message, type) {
+    const status = document.querySelector('#bma-sign-in-prompt .sign-in-status');
+    status.textContent = message;
+    status.className = `sign-in-status ${type}`;
+  },
+
+  async submit() {
+    const submitButton = document.querySelector('#bma-sign-in-prompt button[type="submit"]');
+    const username = document.getElementById('sign-in-username').value.trim();
+    const password = document.getElementById('sign-in-password').value.trim().replace(/\s/g, '');
+    if (!username || !password) {
+      this.showStatus('Enter your username and application password', 'error');
+      return;
+    }
+
+    const profile = { ...Profiles.get(STATE.storedSettings, STATE.profileId), username, applicationPassword: password };
+    this.showStatus('Testing connection...', 'info');
+    submitButton.disabled = true;
+
+    try {
+      const result = await Credentials.check(profile);
+      if (!result.ok) {
+        this.showStatus(result.message, 'error');
+        return;
+      }
+      await this.save(profile);
+    } catch (error) {
+      BMA_LOG.error('Error saving credentials:', error);
+      this.showStatus('Error saving credentials: ' + error.message, 'error');
+      return;
+    } finally {
+      submitButton.disabled = false;
+    }
+
+    this.hide();
+    showToast('Signed in - updates resumed', 'success');
+    reloadSettings();
+  },
+
+  /**
+   * Save the new credentials as the settings page would: the password on this device, a changed
+   * username in the synced settings. The background's pause is lifted here, before this panel
+   * reloads; other panels and the background are told via settingsUpdated.
+   * @param {Object} profile - Profile with the new username and password
+   */
+  async save(profile) {
+    await Credentials.save({ ...await Credentials.passwords(), [profile.id]: profile.applicationPassword }, await Credentials.storageMode());
+
+    const { settings: stored } = await chrome.storage.sync.get('settings');
+    const updated = { ...stored };
+    if (Array.isArray(updated.profiles) && updated.profiles.length > 0) {
+      updated.profiles = updated.profiles.map(saved => saved.id === profile.id ? { ...saved, username: profile.username } : saved);
+      if (updated.profiles[0].id === profile.id) {
+        updated.username = profile.username; // Top-level API fields mirror the first profile
+      }
+    } else {
+      updated.username = profile.username;
+    }
+
+    // A username set by policy isn't saved as the user's (as on the settings page)
+    const saved = ManagedSettings.unmanaged(updated, await ManagedSettings.get(), stored);
+    await chrome.storage.sync.set({ settings: saved });
+    await Credentials.resume(profile.id);
+    MessageBus.send('settingsUpdated', { settings: saved });
+  }
+};
+
+// =============================================================================
+// Pinned Bookings
+// =============================================================================
+
+const PINNED_BOOKINGS_MAX = 8;
+
+// Tray of pinned bookings (e.g. every room in a family or group) with their Restaurant/Checks
+// counts. Pins are kept in chrome.storage.session so they last until the browser closes, with
+// a separate set per property profile.
+const PinnedBookings = {
+  STORAGE_KEY: 'pinnedBookings',
+  pins: [], // [{ bookingId, label, badges: { restaurant: { critical, warning }, checks: { critical, warning } } }]
+  trayElement: null,
+  listElement: null,
+  pinCurrentBtn: null,
+
+  async init() {
+    this.trayElement = document.querySelector('.pinned-tray');
+    this.listElement = this.trayElement.querySelector('.pinned-list');
+    this.pinCurrentBtn = this.trayElement.querySelector('.pin-current-btn');
+
+    this.pinCurrentBtn.addEventListener('click', () => {
+      if (STATE.currentBookingId) {
+        this.toggle(STATE.currentBookingId);
+      }
+    });
+
+    this.listElement.addEventListener('click', (e) => {
+      const chip = e.target.closest('.pinned-chip');
+      if (!chip) return;
+
+      if (e.target.closest('.pinned-chip-remove')) {
+        this.unpin(chip.dataset.bookingId);
+      } else {
+        this.open(chip.dataset.bookingId);
+      }
+    });
+
+    await this.load();
+  },
+
+  // Restore the current profile's pins (again after switching profile)
+  async load() {
+    const key = Profiles.storageKey(this.STORAGE_KEY, STATE.profileId);
+    try {
+      const result = await chrome.storage.session.get(key);
+      this.pins = result[key] || [];
+      BMA_LOG.log('Restored pinned bookings:', this.pins.map(pin => pin.bookingId));
+    } catch (error) {
+      BMA_LOG.error('Error loading pinned bookings:', error);
+    }
+
+    this.render();
+  },
+
+  save() {
+    const key = Profiles.storageKey(this.STORAGE_KEY, STATE.profileId);
+    chrome.storage.session.set({ [key]: this.pins }).catch(error => {
+      BMA_LOG.error('Error saving pinned bookings:', error);
+    });
+  },
+
+  find(bookingId) {
+    return this.pins.find(pin => String(pin.bookingId) === String(bookingId));
+  },
+
+  /**
+   * Pin a booking to the tray
+   * @param {number|string} bookingId - Booking ID
+   * @param {string|null} label - Guest name to show instead of the booking number
+   */
+  pin(bookingId, label = null) {
+    if (this.find(bookingId)) return;
+
+    // Oldest pin makes way once the tray is full
+    if (this.pins.length >= PINNED_BOOKINGS_MAX) {
+      BMA_LOG.log('Pinned bookings full, unpinning oldest:', this.pins[0].bookingId);
+      this.pins.shift();
+    }
+
+    const isCurrent = String(bookingId) === String(STATE.currentBookingId);
+    this.pins.push({
+      bookingId: String(bookingId),
+      label: label || this.findLabel(bookingId),
+      badges: {
+        restaurant: isCurrent ? { ...STATE.badges.restaurant } : null,
+        checks: isCurrent ? { ...STATE.badges.checks } : null
+      }
+    });
+    this.save();
+    this.render();
+
+    // Counts for the current booking are already known; fetch the rest (also warms the response cache)
+    if (!isCurrent) {
+      this.refreshCounts(bookingId);
+    }
+  },
+
+  unpin(bookingId) {
+    this.pins = this.pins.filter(pin => String(pin.bookingId) !== String(bookingId));
+    this.save();
+    this.render();
+  },
+
+  toggle(bookingId, label = null) {
+    if (this.find(bookingId)) {
+      this.unpin(bookingId);
+    } else {
+      this.pin(bookingId, label);
+    }
+  },
+
+  /**
+   * Best-effort guest name for a booking from data already in the panel
+   * @param {number|string} bookingId - Booking ID
+   * @returns {string|null} Guest name, or null if unknown
+   */
+  findLabel(bookingId) {
+    const searchResult = BookingSearch.results.find(result => String(result.booking_id) === String(bookingId));
+    if (searchResult?.guest_name) {
+      return searchResult.guest_name;
+    }
+
+    const card = document.querySelector(`.booking-card[data-booking-id="${bookingId}"][data-guest-name]`);
+    return card ? card.dataset.guestName : null;
+  },
+
+  /**
+   * Record badge counts for a pinned booking (called from updateBadge)
+   * @param {number|string} bookingId - Booking ID
+   * @param {string} tabName - 'restaurant' or 'checks'
+   * @param {number} critical - Critical count
+   * @param {number} warning - Warning count
+   */
+  updateCounts(bookingId, tabName, critical, warning) {
+    const pin = this.find(bookingId);
+    if (!pin) return;
+
+    const previous = pin.badges[tabName];
+    if (previous && previous.critical === critical && previous.warning === warning) return;
+
+    pin.badges[tabName] = { critical: critical, warning: warning };
+    this.save();
+    this.render();
+  },
+
+  /**
+   * Load Restaurant and Checks for a pinned booking that isn't the current one
+   * @param {number|string} bookingId - Booking ID
+   */
+  async refreshCounts(bookingId) {
+    const profileId = STATE.profileId;
+    const load = async (tabName, fetchData, endpoint, params) => {
+      try {
+        const data = await fetchData();
+        if (!data.success || isOtherProfileLoad(profileId)) return;
+
+        ResponseCache.set(tabName, endpoint, params, data, profileId);
+        this.updateCounts(bookingId, tabName, data.critical_count || 0, data.warning_count || 0);
+      } catch (error) {
+        if (!error.aborted) {
+          BMA_LOG.error(`Error loading ${tabName} counts for pinned booking ${bookingId}:`, error);
+        }
+      }
+    };
+
+    await Promise.all([
+      load('restaurant', () => window.apiClient.fetchRestaurantMatch(bookingId, false, 'pins'), '/bookings/match', { booking_id: bookingId }),
+      load('checks', () => window.apiClient.fetchChecks(bookingId, false, 'pins'), '/checks', { booking_id: bookingId })
+    ]);
+  },
+
+  /**
+   * Switch the panel to a pinned booking, rendering saved results straight away
+   * @param {number|string} bookingId - Booking ID
+   */
+  open(bookingId) {
+    const pin = this.find(bookingId);
+    const targetTab = STATE.currentTab === 'checks' ? 'checks' : 'restaurant';
+
+    if (!setCurrentBooking(bookingId)) {
+      switchTab(targetTab);
+      return;
+    }
+
+    BMA_LOG.log('Switching to pinned booking:', bookingId);
+
+    // Last known counts until the fresh responses arrive
+    ['restaurant', 'checks'].forEach(tabName => {
+      const counts = pin?.badges[tabName];
+      updateBadge(tabName, counts?.critical || 0, counts?.warning || 0);
+    });
+
+    // The visible tab renders from the response cache and revalidates; refresh the other tab's badge
+    switchTab(targetTab);
+    if (targetTab === 'restaurant') {
+      loadChecksTabSilently().catch(() => {});
+    } else {
+      loadRestaurantTabSilently().catch(() => {});
+    }
+  },
+
+  render() {
+    if (!this.trayElement) return;
+
+    const currentPinned = STATE.currentBookingId && this.find(STATE.currentBookingId);
+    this.trayElement.classList.toggle('hidden', this.pins.length === 0 && !STATE.currentBookingId);
+    this.pinCurrentBtn.disabled = !STATE.currentBookingId;
+    this.pinCurrentBtn.classList.toggle('pinned', !!currentPinned);
+    this.pinCurrentBtn.title = currentPinned ? 'Unpin current booking' : 'Pin current booking';
+
+    this.listElement.innerHTML = '';
+    this.pins.forEach(pin => {
+      const chip = document.createElement('div');
+      chip.className = 'pinned-chip';
+      chip.dataset.bookingId = pin.bookingId;
+      chip.title = `Booking #${pin.bookingId}`;
+      if (String(pin.bookingId) === String(STATE.currentBookingId)) {
+        chip.classList.add('active');
+      }
+
+      const label = document.createElement('span');
+      label.className = 'pinned-chip-label';
+      label.textContent = pin.label || `#${pin.bookingId}`;
+      chip.appendChild(label);
+
+      [['restaurant', 'restaurant'], ['checks', 'check_circle']].forEach(([tabName, icon]) => {
+        const counts = pin.badges[tabName];
+        const total = counts ? counts.critical + counts.warning : 0;
+        if (total === 0) return;
+
+        const count = document.createElement('span');
+        count.className = `pinned-chip-count ${counts.critical > 0 ? 'critical' : 'warning'}`;
+        count.title = `${tabName === 'restaurant' ? 'Restaurant' : 'Checks'}: ${counts.critical} critical, ${counts.warning} warning`;
+        count.innerHTML = `<span class="material-symbols-outlined">${icon}</span>${total}`;
+        chip.appendChild(count);
+      });
+
+      const remove = document.createElement('button');
+      remove.className = 'pinned-chip-remove';
+      remove.title = 'Unpin';
+      remove.innerHTML = '<span class="material-symbols-outlined">close</span>';
+      chip.appendChild(remove);
+
+      this.listElement.appendChild(chip);
+    });
+
+    this.updateCardPinButtons();
+  },
+
+  /**
+   * Add pin toggles to Summary booking cards and Staying cards
+   * @param {HTMLElement} container - Tab data element that was just rendered
+   */
+  attachCardPinButtons(container) {
+    container.querySelectorAll('.booking-card .booking-header, .staying-card .staying-header').forEach(header => {
+      const card = header.closest('.booking-card, .staying-card');
+      const bookingId = card.dataset.bookingId || card.querySelector('[data-booking-id]')?.dataset.bookingId;
+      if (!bookingId || header.querySelector('.card-pin-btn')) return;
+
+      const button = document.createElement('button');
+      button.className = 'card-pin-btn';
+      button.dataset.bookingId = bookingId;
+      button.innerHTML = '<span class="material-symbols-outlined">push_pin</span>';
+      button.addEventListener('click', (e) => {
+        e.stopPropagation(); // Don't expand/collapse the card
+        this.toggle(bookingId, card.dataset.guestName || null);
+      });
+      header.appendChild(button);
+    });
+
+    this.updateCardPinButtons();
+  },
+
+  updateCardPinButtons() {
+    document.querySelectorAll('.card-pin-btn').forEach(button => {
+      const pinned = !!this.find(button.dataset.bookingId);
+      button.classList.toggle('pinned', pinned);
+      button.title = pinned ? 'Unpin booking' : 'Pin booking';
+    });
+  }
+};
+
+// =============================================================================
+// Action Log (Undo)
+// =============================================================================
+
+const ACTION_LOG_MAX = 20; // Most recent actions kept for undo
+const ACTION_UNDO_TOAST_DURATION = 10000; // Toasts with an Undo button stay a little longer
+
+// Comparison container -> ResOS values from its comparison API response (snapshot taken when
+// the comparison loads; the table only has display text, which can't be written back)
+const comparisonResosValues = new WeakMap();
+
+/**
+ * Current ResOS values for fields, as the comparison API returned them
+ * @param {HTMLElement|null} container - Comparison container
+ * @param {Array<string>} fields - Field names (data-field values)
+ * @returns {Object|null} { field: value }, or null if any value isn't known (no undo then)
+ */
+function readResosValuesFromComparison(container, fields) {
+  const resos = container ? comparisonResosValues.get(container) : null;
+  if (!resos) return null;
+
+  const values = {};
+  for (const field of fields) {
+    if (!(field in resos)) return null;
+    values[field] = resos[field] ?? ''; // Empty in ResOS
+  }
+  return values;
+}
+
+// Restaurant actions (exclude, update, group, create) with the values needed to revert them.
+// Kept in chrome.storage.local so a mis-click can still be undone after reopening the panel.
+const ActionLog = {
+  STORAGE_KEY: 'bmaActionLog',
+  entries: [], // Newest first: { id, type, label, timestamp, resosBookingId, hotelBookingId, before, after, undone }
+  undoing: false,
+  panel: null,
+  listElement: null,
+
+  async init() {
+    this.panel = document.getElementById('action-log');
+    this.listElement = this.panel.querySelector('.action-log-list');
+
+    document.getElementById('action-log-btn').addEventListener('click', () => this.open());
+    this.panel.querySelector('.action-log-overlay').addEventListener('click', () => this.close());
+    this.panel.querySelector('.action-log-close').addEventListener('click', () => this.close());
+
+    document.getElementById('action-log-undo-last').addEventListener('click', () => {
+      const count = parseInt(document.getElementById('action-log-count').value) || 1;
+      this.undoLast(count);
+    });
+
+    this.listElement.addEventListener('click', (e) => {
+      const undoBtn = e.target.closest('.action-log-undo');
+      if (undoBtn) {
+        this.undo(undoBtn.dataset.actionId);
+      }
+    });
+
+    await this.load();
+  },
+
+  // Actions are undone against the API they were made on, so each profile has its own log
+  async load() {
+    const key = Profiles.storageKey(this.STORAGE_KEY, STATE.profileId);
+    try {
+      const result = await chrome.storage.local.get(key);
+      this.entries = result[key] || [];
+    } catch (error) {
+      BMA_LOG.error('Error loading action log:', error);
+    }
+  },
+
+  save() {
+    const key = Profiles.storageKey(this.STORAGE_KEY, STATE.profileId);
+    chrome.storage.local.set({ [key]: this.entries }).catch(error => {
+      BMA_LOG.error('Error saving action log:', error);
+    });
+  },
+
+  /**
+   * Record a completed action and show its success toast (with Undo when possible)
+   * @param {Object} action - { type, label, resosBookingId, hotelBookingId, before, after }
+   * @param {string} message - Success message for the toast
+   * @returns {Object} The log entry
+   */
+  record(action, message) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: Date.now(),
+      undone: false,
+      ...action
+    };
+
+    this.entries.unshift(entry);
+    this.entries = this.entries.slice(0, ACTION_LOG_MAX);
+    this.save();
+    this.render();
+
+    BMA_LOG.log('Action recorded:', entry);
+
+    if (this.canUndo(entry)) {
+      showToast(message, 'success', ACTION_UNDO_TOAST_DURATION, {
+        label: 'Undo',
+        onClick: () => this.undo(entry.id)
+      });
+    } else {
+      showToast(message, 'success');
+    }
+
+    return entry;
+  },
+
+  /**
+   * Whether an action has everything needed to revert it
+   * @param {Object} entry - Log entry
+   * @returns {boolean}
+   */
+  canUndo(entry) {
+    if (entry.undone) return false;
+
+    if (entry.type === 'update') {
+      return !!entry.before;
+    } else if (entry.type === 'exclude') {
+      return true;
+    } else if (entry.type === 'group') {
+      return !!entry.before; // No lead before - undone by clearing the group
+    } else if (entry.type === 'create') {
+      return !!entry.after?.resosBookingId;
+    }
+    return false;
+  },
+
+  /**
+   * Revert an action through the API
+   * @param {string} id - Log entry ID
+   * @returns {Promise<boolean>} True if the action was reverted
+   */
+  async undo(id) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry || !this.canUndo(entry) || this.undoing) return false;
+
+    this.undoing = true;
+    BMA_LOG.log('Undoing action:', entry);
+
+    try {
+      let result;
+      if (entry.type === 'update') {
+        result = await window.apiClient.updateBooking(entry.resosBookingId, entry.before, {
+          action: 'undo-update',
+          hotelBookingId: entry.hotelBookingId,
+          before: entry.after
+        });
+      } else if (entry.type === 'exclude') {
+        result = await window.apiClient.unexcludeMatch(entry.resosBookingId, entry.hotelBookingId, { action: 'undo-exclude' });
+      } else if (entry.type === 'group') {
+        const previousLead = entry.before.leadBookingId || null;
+        result = await window.apiClient.saveGroup(entry.resosBookingId, previousLead, previousLead ? entry.before.groupIds : [], {
+          action: 'undo-group',
+          hotelBookingId: entry.hotelBookingId,
+          before: entry.after
+        });
+
+        // The GROUP/EXCLUDE field held excludes (N-) as well as the group - put those back too
+        const previousExcludes = parseGroupExcludeField(entry.before.groupExcludeField || '').excludes;
+        for (const excludedBookingId of previousExcludes) {
+          if (result && result.success === false) break;
+          result = await window.apiClient.excludeMatch(entry.resosBookingId, excludedBookingId, {
+            action: 'undo-group'
+          });
+        }
+      } else if (entry.type === 'create') {
+        // ResOS bookings can't be deleted through the API - cancel instead
+        result = await window.apiClient.updateBooking(entry.after.resosBookingId, { status: 'canceled' }, {
+          action: 'undo-create',
+          hotelBookingId: entry.hotelBookingId
+        });
+      }
+
+      if (result && result.success === false) {
+        throw new Error(result.message || 'Undo failed');
+      }
+
+      entry.undone = true;
+      this.save();
+      this.render();
+      showToast(`Undone: ${escapeHTML(entry.label)}`, 'info');
+      window.reloadRestaurantTab();
+      return true;
+    } catch (error) {
+      BMA_LOG.error('Error undoing action:', error);
+      showToast(`Undo failed: ${escapeHTML(error.message)}`, 'error');
+      return false;
+    } finally {
+      this.undoing = false;
+    }
+  },
+
+  /**
+   * Revert the most recent actions, newest first, stopping at the first failure
+   * @param {number} count - Number of actions to revert
+   */
+  async undoLast(count) {
+    const pending = this.entries.filter(entry => !entry.undone).slice(0, count);
+    for (const entry of pending) {
+      if (!this.canUndo(entry)) {
+        showToast(`Can't undo "${escapeHTML(entry.label)}" - stopped here`, 'error');
+        return;
+      }
+      if (!(await this.undo(entry.id))) {
+        return;
+      }
+    }
+  },
+
+  open() {
+    this.render();
+    this.panel.classList.remove('hidden');
+  },
+
+  close() {
+    this.panel.classList.add('hidden');
+  },
+
+  render() {
+    if (!this.listElement) return;
+
+    if (this.entries.length === 0) {
+      this.listElement.innerHTML = '<p class="action-log-empty">No actions yet</p>';
+      return;
+    }
+
+    const iconMap = { update: 'edit', exclude: 'block', group: 'group', create: 'add_circle' };
+
+    this.listElement.innerHTML = this.entries.map(entry => {
+      const time = new Date(entry.timestamp).toLocaleString([], {
+        day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+      });
+
+      let control;
+      if (entry.undone) {
+        control = '<span class="action-log-status">Undone</span>';
+      } else if (this.canUndo(entry)) {
+        control = `<button class="action-log-undo" data-action-id="${entry.id}">Undo</button>`;
+      } else {
+        control = '<span class="action-log-status" title="Previous values weren\'t available when this action was made">Can\'t undo</span>';
+      }
+
+      return `
+        <div class="action-log-entry${entry.undone ? ' undone' : ''}">
+          <span class="material-symbols-outlined">${iconMap[entry.type] || 'history'}</span>
+          <div class="action-log-details">
+            <div class="action-log-label">${escapeHTML(entry.label)}</div>
+            <div class="action-log-time">${time}</div>
+          </div>
+          ${control}
+        </div>
+      `;
+    }).join('');
+  }
+};
+
+// =============================================================================
+// Keyboard Shortcuts & Command Palette
+// =============================================================================
+
+const TAB_ORDER = ['summary', 'restaurant', 'checks', 'staying'];
+
+/**
+ * Handle a chrome.commands shortcut forwarded by the background worker
+ * @param {string} command - Command name from the manifest "commands" section
+ */
+function handlePanelCommand(command) {
+  if (!STATE.newbookAuth.isAuthenticated) {
+    BMA_LOG.log('Ignoring keyboard command (not logged in to NewBook):', command);
+    return;
+  }
+
+  if (command === 'next-tab') {
+    cycleTab(1);
+  } else if (command === 'previous-tab') {
+    cycleTab(-1);
+  } else if (command === 'refresh-tab') {
+    refreshCurrentTab();
+  } else if (command === 'previous-staying-date' || command === 'next-staying-date') {
+    // First press brings the Staying tab into view, further presses change the date
+    if (STATE.currentTab !== 'staying') {
+      switchTab('staying');
+    } else {
+      changeStayingDate(command === 'next-staying-date' ? 1 : -1);
+    }
+  } else {
+    BMA_LOG.warn('Unknown keyboard command:', command);
+  }
+}
+
+/**
+ * Switch to the next/previous tab, wrapping around at either end
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function cycleTab(direction) {
+  const index = TAB_ORDER.indexOf(STATE.currentTab);
+  const nextIndex = (index + direction + TAB_ORDER.length) % TAB_ORDER.length;
+  switchTab(TAB_ORDER[nextIndex]);
+}
+
+/**
+ * Refresh the current tab via its footer refresh button (keeps the spin animation)
+ */
+function refreshCurrentTab() {
+  const refreshBtn = document.querySelector(`.tab-refresh-btn[data-tab="${STATE.currentTab}"]`);
+  if (refreshBtn) {
+    refreshBtn.click();
+  }
+}
+
+/**
+ * Parse a date typed into the command palette
+ * Accepts "today", "tomorrow", "yesterday", YYYY-MM-DD, DD/MM and DD/MM/YYYY
+ * @param {string} text - User input
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if not a date
+ */
+function parsePaletteDate(text) {
+  const value = text.trim().toLowerCase();
+  const relativeDays = { yesterday: -1, today: 0, tomorrow: 1 };
+
+  // Local date parts - toISOString() is UTC, a day behind late on summer evenings in the UK
+  const format = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+  // Date() rolls impossible days over (45/13 becomes February) - only take real dates
+  const validDate = (year, month, day) => {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    return format(date);
+  };
+
+  if (value in relativeDays) {
+    const date = new Date();
+    date.setDate(date.getDate() + relativeDays[value]);
+    return format(date);
+  }
+
+  const isoMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoMatch) {
+    return validDate(parseInt(isoMatch[1]), parseInt(isoMatch[2]), parseInt(isoMatch[3]));
+  }
+
+  const ukMatch = value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+  if (ukMatch) {
+    const year = ukMatch[3] ? parseInt(ukMatch[3]) : new Date().getFullYear();
+    return validDate(year, parseInt(ukMatch[2]), parseInt(ukMatch[1]));
+  }
+
+  return null;
+}
+
+// Command palette (Ctrl+K) - jump to a booking, its checks, or the create form for a date
+const CommandPalette = {
+  element: null,
+  input: null,
+  resultsList: null,
+  items: [],
+  selectedIndex: 0,
+
+  init() {
+    this.element = document.getElementById('command-palette');
+    this.input = document.getElementById('command-palette-input');
+    this.resultsList = this.element.querySelector('.command-palette-results');
+
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (this.isOpen()) {
+          this.close();
+        } else {
+          this.open();
+        }
+      }
+    });
+
+    this.input.addEventListener('input', () => this.render());
+
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        this.select(this.selectedIndex + 1);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.select(this.selectedIndex - 1);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this.run(this.items[this.selectedIndex]);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    });
+
+    this.resultsList.addEventListener('click', (e) => {
+      const itemElement = e.target.closest('.command-palette-item');
+      if (itemElement) {
+        this.run(this.items[parseInt(itemElement.dataset.index)]);
+      }
+    });
+
+    this.element.querySelector('.command-palette-overlay').addEventListener('click', () => this.close());
+  },
+
+  isOpen() {
+    return !this.element.classList.contains('hidden');
+  },
+
+  open() {
+    this.input.value = '';
+    this.render();
+    this.element.classList.remove('hidden');
+    this.input.focus();
+  },
+
+  close() {
+    this.element.classList.add('hidden');
+  },
+
+  /**
+   * Build the list of actions for the current input
+   * @param {string} query - Palette input
+   * @returns {Array<Object>} Items: { icon, label, hint, action }
+   */
+  buildItems(query) {
+    const text = query.trim();
+    const items = [];
+
+    // "12345" or "#12345", optionally followed by a date: "12345 tomorrow"
+    const bookingMatch = text.match(/^#?(\d{3,})(?:\s+(.+))?$/);
+    const bookingDate = bookingMatch && bookingMatch[2] ? parsePaletteDate(bookingMatch[2]) : null;
+    const date = bookingMatch ? null : parsePaletteDate(text);
+
+    if (bookingMatch) {
+      const bookingId = parseInt(bookingMatch[1]);
+      if (bookingDate) {
+        items.push({
+          icon: 'add_circle',
+          label: `New reservation for #${bookingId} on ${bookingDate}`,
+          hint: 'Restaurant',
+          action: () => navigateToRestaurantDate(bookingDate, bookingId)
+        });
+      }
+      items.push({
+        icon: 'open_in_new',
+        label: `Go to booking #${bookingId}`,
+        hint: 'Restaurant / Checks',
+        action: () => handleBookingDetected(String(bookingId))
+      });
+      items.push({
+        icon: 'check_circle',
+        label: `Checks for booking #${bookingId}`,
+        hint: 'Checks',
+        action: () => navigateToChecksTab(bookingId)
+      });
+    } else if (date) {
+      if (STATE.currentBookingId) {
+        items.push({
+          icon: 'add_circle',
+          label: `New reservation for #${STATE.currentBookingId} on ${date}`,
+          hint: 'Restaurant',
+          action: () => navigateToRestaurantDate(date)
+        });
+      } else {
+        items.push({
+          icon: 'info',
+          label: `Type a booking ID before the date, e.g. "12345 ${text}"`,
+          hint: '',
+          action: null
+        });
+      }
+    }
+
+    // Fixed commands, filtered by the typed text
+    const commands = [
+      { icon: 'summarize', label: 'Go to Summary', hint: 'Tab', action: () => switchTab('summary') },
+      { icon: 'restaurant', label: 'Go to Restaurant', hint: 'Tab', action: () => switchTab('restaurant') },
+      { icon: 'check_circle', label: 'Go to Checks', hint: 'Tab', action: () => switchTab('checks') },
+      { icon: 'hotel', label: 'Go to Staying', hint: 'Tab', action: () => switchTab('staying') },
+      { icon: 'refresh', label: 'Refresh current tab', hint: '', action: () => refreshCurrentTab() }
+    ];
+    const lowerText = text.toLowerCase();
+    commands
+      .filter(command => command.label.toLowerCase().includes(lowerText))
+      .forEach(command => items.push(command));
+
+    // Anything else (e.g. a surname) goes to the booking search box
+    if (text && !bookingMatch && !date) {
+      items.push({
+        icon: 'person_search',
+        label: `Search bookings for "${text}"`,
+        hint: 'Search',
+        action: () => {
+          BookingSearch.input.value = text;
+          BookingSearch.input.dispatchEvent(new Event('input'));
+          BookingSearch.input.focus();
+        }
+      });
+    }
+
+    return items;
+  },
+
+  render() {
+    this.items = this.buildItems(this.input.value);
+    this.selectedIndex = 0;
+    this.resultsList.innerHTML = '';
+
+    if (this.items.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'command-palette-empty';
+      empty.textContent = 'No matching commands';
+      this.resultsList.appendChild(empty);
+      return;
+    }
+
+    this.items.forEach((item, index) => {
+      const li = document.createElement('li');
+      li.className = 'command-palette-item';
+      li.dataset.index = index;
+      if (!item.action) {
+        li.classList.add('disabled');
+      }
+
+      const icon = document.createElement('span');
+      icon.className = 'material-symbols-outlined';
+      icon.textContent = item.icon;
+
+      const label = document.createElement('span');
+      label.className = 'command-palette-label';
+      label.textContent = item.label;
+
+      const hint = document.createElement('span');
+      hint.className = 'command-palette-hint';
+      hint.textContent = item.hint;
+
+      li.append(icon, label, hint);
+      this.resultsList.appendChild(li);
+    });
+
+    this.select(0);
+  },
+
+  select(index) {
+    if (this.items.length === 0) return;
+    this.selectedIndex = (index + this.items.length) % this.items.length;
+    this.resultsList.querySelectorAll('.command-palette-item').forEach((li, i) => {
+      li.classList.toggle('selected', i === this.selectedIndex);
+      if (i === this.selectedIndex) {
+        li.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  },
+
+  run(item) {
+    if (!item || !item.action) return;
+    BMA_LOG.log('Command palette:', item.label);
+    this.close();
+    item.action();
+  }
+};
+
+// Message Handlers (types are declared in shared/message-bus.js)
+// Booking messages come relayed by the background (which addresses them to this window),
+// never straight from content scripts. Until init() knows the window they're all ignored -
+// it reads the window's booking, profile and requested tab from storage instead.
+MessageBus.awaitWindow();
+
+MessageBus.on('bookingDetected', (message) => {
+  BMA_LOG.log('Processing bookingDetected message, source:', message.source);
+  handleBookingDetected(message.bookingId);
+}, { senders: 'extension' });
+
+MessageBus.on('plannerClick', (message) => {
+  if (STATE.settings?.enablePlannerClickUpdate) {
+    BMA_LOG.log('Processing plannerClick message (setting enabled)');
+    handleBookingDetected(message.bookingId);
+  } else {
+    BMA_LOG.log('Ignoring plannerClick message (setting disabled)');
+  }
+}, { senders: 'extension' });
+
+MessageBus.on('profileDetected', (message) => {
+  BMA_LOG.log('Processing profileDetected message:', message.profileId);
+  if (STATE.storedSettings) {
+    ProfileSwitcher.switchTo(message.profileId, { detected: true });
+  }
+}, { senders: 'extension' });
+
+MessageBus.on('showTab', async (message) => {
+  BMA_LOG.log('Processing showTab message:', message.tab);
+  // Still starting up - init reads the tab from storage once the tabs are ready
+  if (!STATE.newbookAuth.isAuthenticated) return;
+
+  // Taken from storage so the next startup doesn't apply it again
+  const tab = await takeRequestedTab();
+  if (tab) {
+    switchTab(tab);
+  }
+}, { senders: 'extension' });
+
+MessageBus.on('panelCommand', (message) => {
+  BMA_LOG.log('Processing panelCommand message:', message.command);
+  handlePanelCommand(message.command);
+}, { senders: 'extension' });
+
+MessageBus.on('sessionLockChanged', (message) => {
+  BMA_LOG.log('Processing sessionLockChanged message:', message.isLocked);
+  AuthManager.handleSessionLock(message.isLocked);
+}, { senders: 'extension' });
+
+MessageBus.on('settingsUpdated', () => {
+  BMA_LOG.log('Settings updated, reloading current tab');
+  // New credentials may have been saved elsewhere - any sign-in prompt asks again if they fail
+  SignInPrompt.hide();
+  reloadSettings();
+}, { senders: 'extension' });
+
+// The API rejected this profile's credentials in a background request (e.g. the summary poll)
+MessageBus.on('authRequired', (message) => {
+  if (message.profileId === STATE.profileId) {
+    SignInPrompt.show();
+  }
+}, { senders: 'extension' });
+
+// Reload settings and the current tab (settings saved, policy changed or signed in again)
+async function reloadSettings() {
+  await loadSettings();
+  MessageBus.setTrace(STATE.settings?.enableDebugLogging);
+
+  // Reinitialize global API client with new settings
+  window.apiClient = new APIClient(STATE.settings);
+  BMA_LOG.log('Global apiClient reinitialized after settings update');
+
+  // Profiles may have been added, renamed or removed
+  ProfileSwitcher.render();
+
+  // Reload current tab
+  if (STATE.currentTab === 'summary') {
+    loadSummaryTab();
+  } else if (STATE.currentTab === 'restaurant') {
+    loadRestaurantTab();
+  } else if (STATE.currentTab === 'checks') {
+    loadChecksTab();
+  } else if (STATE.currentTab === 'staying') {
+    loadStayingTab();
+  }
+}
+
+// Load Settings (resolved for STATE.profileId, or the first profile)
+async function loadSettings() {
+  try {
+    const { settings: loaded, managed, saved } = await ManagedSettings.load();
+    BMA_LOG.log('loadSettings - settings:', loaded, 'managed:', managed);
+    const settings = await Credentials.apply(loaded);
+    const profile = Profiles.get(settings, STATE.profileId);
+    if (saved && Profiles.isConfigured(profile)) {
+      STATE.storedSettings = settings;
+      STATE.settings = Profiles.resolve(settings, STATE.profileId);
+      STATE.profileId = STATE.settings.profileId;
+      BMA_LOG.log('Settings loaded successfully:', Credentials.strip(STATE.settings));
+      BMA_LOG.log('recentBookingsCount:', STATE.settings.recentBookingsCount);
+      return true;
+    } else if (saved && profile.apiRootUrl && profile.username) {
+      // Passwords kept only until the browser closes, or saved on another device
+      showError('summary', 'No application password on this device - enter it in settings');
+      return false;
+    } else {
+      showError('summary', 'Please configure API settings first');
+      return false;
+    }
+  } catch (error) {
+    BMA_LOG.error('Error loading settings:', error);
+    showError('summary', 'Error loading settings');
+    return false;
+  }
+}
+
+// Event Listeners
+document.querySelectorAll('.tab-button').forEach(button => {
+  button.addEventListener('click', () => {
+    switchTab(button.dataset.tab);
+  });
+});
+
+document.querySelectorAll('.retry-button').forEach(button => {
+  button.addEventListener('click', () => {
+    const tabContent = button.closest('.tab-content');
+    const tabName = tabContent.dataset.content;
+
+    if (tabName === 'summary') {
+      loadSummaryTab();
+    } else if (tabName === 'restaurant') {
+      loadRestaurantTab();
+    } else if (tabName === 'checks') {
+      loadChecksTab();
+    }
+  });
+});
+
+// ============================================
+// GROUP MANAGEMENT MODAL
+// ============================================
+
+// Global state for group modal
+const GROUP_MODAL_STATE = {
+  resosBookingId: null,
+  hotelBookingId: null,
+  date: null,
+  resosBooking: null,
+  leadBookingId: null,
+  groupExcludeField: '',
+  groupExcludeData: null,
+  bookings: [],
+  groups: {},
+  currentGroupId: null
+};
+
+// Open group management modal
+async function openGroupManagementModal(resosBookingId, hotelBookingId, date, resosTime = '', resosGuest = '', resosPeople = '0', resosBookingRef = '', groupExcludeField = '') {
+  const modal = document.getElementById('group-management-modal');
+  const resosInfo = document.getElementById('group-modal-resos-info');
+  const groupSection = document.getElementById('group-section-container');
+  const otherSection = document.getElementById('other-section-container');
+  const loading = modal.querySelector('.group-modal-loading');
+  const error = modal.querySelector('.group-modal-error');
+  const container = modal.querySelector('.group-bookings-container');
+
+  // Store state
+  GROUP_MODAL_STATE.resosBookingId = resosBookingId;
+  GROUP_MODAL_STATE.hotelBookingId = hotelBookingId;
+  GROUP_MODAL_STATE.date = date;
+  GROUP_MODAL_STATE.resosBooking = { time: resosTime, guest_name: resosGuest, people: resosPeople };
+  GROUP_MODAL_STATE.leadBookingId = resosBookingRef; // The booking ID from ResOS "Booking #" field
+
+  console.log('BMA: openGroupManagementModal - resosBookingRef (lead):', resosBookingRef);
+  console.log('BMA: openGroupManagementModal - groupExcludeField raw:', groupExcludeField);
+  GROUP_MODAL_STATE.groupExcludeField = groupExcludeField;
+  GROUP_MODAL_STATE.groupExcludeData = parseGroupExcludeField(groupExcludeField);
+  console.log('BMA: openGroupManagementModal - parsed groupExcludeData:', GROUP_MODAL_STATE.groupExcludeData);
+
+  // Show modal
+  modal.classList.remove('hidden');
+
+  // Show ResOS booking info
+  console.log('BMA: ResOS data - time:', resosTime, 'guest:', resosGuest, 'people:', resosPeople);
+  const time = (resosTime && resosTime.trim()) || 'N/A';
+  const guestName = (resosGuest && resosGuest.trim()) || 'Unknown';
+  const people = resosPeople || '0';
+  resosInfo.innerHTML = `${time} - ${guestName} (${people} pax)`;
+
+  // Show loading
+  loading.classList.remove('hidden');
+  container.classList.add('hidden');
+  error.classList.add('hidden');
+
+  try {
+    // Fetch bookings for date
+    const bookingsData = await fetchBookingsForDate(date);
+
+    GROUP_MODAL_STATE.bookings = bookingsData.bookings;
+    GROUP_MODAL_STATE.groups = bookingsData.groups;
+
+    // Find current booking's group
+    const currentBooking = bookingsData.bookings.find(b => b.booking_id == hotelBookingId);
+    GROUP_MODAL_STATE.currentGroupId = currentBooking?.bookings_group_id || null;
+
+    // Render bookings
+    renderGroupModal();
+
+    // Hide loading, show content
+    loading.classList.add('hidden');
+    container.classList.remove('hidden');
+
+  } catch (err) {
+    BMA_LOG.error('Error loading bookings:', err);
+    loading.classList.add('hidden');
+    error.classList.remove('hidden');
+    error.querySelector('.error-message').textContent = err.message || 'Failed to load bookings';
+  }
+}
+
+// Parse GROUP/EXCLUDE field
+function parseGroupExcludeField(fieldValue) {
+  const result = {
+    groups: [],
+    excludes: []
+  };
 
   if (!fieldValue) return result;
 
@@ -4777,25 +7150,7 @@ function parseGroupExcludeField(fieldValue) {
 
 // Fetch bookings for a specific date
 async function fetchBookingsForDate(date, excludeBookingId) {
-  const config = getAPIConfig();
-  let url = `${config.baseUrl}/bookings/for-date?date=${date}`;
-  if (excludeBookingId) {
-    url += `&exclude_booking_id=${excludeBookingId}`;
-  }
-
-  const response = await fetch(url, {
-    headers: {
-      'Authorization': config.authHeader,
-      'Content-Type': 'application/json'
-    }
-  });
-
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}`);
-  }
-
-  const result = await response.json();
-  return result;
+  return window.apiClient.fetchBookingsForDate(date, excludeBookingId);
 }
 
 // Render the group modal with bookings
@@ -4921,30 +7276,32 @@ async function saveGroupConfiguration() {
 
   // Make API call
   try {
-    const config = getAPIConfig();
-    const response = await fetch(`${config.baseUrl}/bookings/group`, {
-      method: 'POST',
-      headers: {
-        'Authorization': config.authHeader,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        resos_booking_id: GROUP_MODAL_STATE.resosBookingId,
-        lead_booking_id: leadBookingId,
-        individual_ids: individualIds
-      })
+    const result = await window.apiClient.saveGroup(GROUP_MODAL_STATE.resosBookingId, leadBookingId, individualIds, {
+      hotelBookingId: GROUP_MODAL_STATE.hotelBookingId,
+      before: {
+        leadBookingId: GROUP_MODAL_STATE.leadBookingId || null,
+        groupIds: GROUP_MODAL_STATE.groupExcludeData?.groups || []
+      }
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+    if (!result.success) {
+      showToast(`Error: ${result.message || 'Failed to update group'}`, 'error');
+      return;
     }
 
-    const result = await response.json();
-
-    // Show success message
-    if (window.showToast) {
-      window.showToast('Group updated successfully!', 'success');
-    }
+    // Record previous lead/group so the change can be undone, then show success message
+    ActionLog.record({
+      type: 'group',
+      label: `Changed group for booking #${GROUP_MODAL_STATE.hotelBookingId} (lead #${leadBookingId}, ${individualIds.length} bookings)`,
+      resosBookingId: GROUP_MODAL_STATE.resosBookingId,
+      hotelBookingId: GROUP_MODAL_STATE.hotelBookingId,
+      before: {
+        leadBookingId: GROUP_MODAL_STATE.leadBookingId || null,
+        groupIds: GROUP_MODAL_STATE.groupExcludeData?.groups || [],
+        groupExcludeField: GROUP_MODAL_STATE.groupExcludeField || ''
+      },
+      after: { leadBookingId: leadBookingId, groupIds: individualIds }
+    }, 'Group updated successfully!');
 
     // Close modal
     closeGroupModal();
@@ -4969,10 +7326,14 @@ function closeGroupModal() {
   const modal = document.getElementById('group-management-modal');
   modal.classList.add('hidden');
 
-  // Reset state
+  // Reset state (the next modal must not record this one's lead and field as its "before")
   GROUP_MODAL_STATE.resosBookingId = null;
   GROUP_MODAL_STATE.hotelBookingId = null;
   GROUP_MODAL_STATE.date = null;
+  GROUP_MODAL_STATE.resosBooking = null;
+  GROUP_MODAL_STATE.leadBookingId = null;
+  GROUP_MODAL_STATE.groupExcludeField = '';
+  GROUP_MODAL_STATE.groupExcludeData = null;
   GROUP_MODAL_STATE.bookings = [];
   GROUP_MODAL_STATE.groups = {};
   GROUP_MODAL_STATE.currentGroupId = null;
@@ -5008,17 +7369,34 @@ function initializeGroupModal() {
 
 // Initialize
 async function init() {
+  // Booking context and routed messages are per window
+  try {
+    STATE.windowId = (await chrome.windows.getCurrent()).id;
+  } catch (error) {
+    BMA_LOG.error('Could not determine sidepanel window:', error);
+  }
+  MessageBus.init({ context: 'sidepanel', windowId: STATE.windowId });
+
+  // Profile picked for this window (detected from its NewBook tab, or switched by hand)
+  if (STATE.windowId !== null) {
+    const profileKey = `windowProfile_${STATE.windowId}`;
+    const stored = await chrome.storage.session.get(profileKey);
+    STATE.profileId = stored[profileKey] || null;
+  }
+
   const settingsLoaded = await loadSettings();
+  MessageBus.setTrace(STATE.settings?.enableDebugLogging);
 
   if (settingsLoaded) {
     // Initialize global API client for use by injected template content
     window.apiClient = new APIClient(STATE.settings);
     BMA_LOG.log('Global apiClient initialized');
 
-    // Start cookie monitoring for NewBook auth
-    AuthManager.startCookieMonitoring();
+    // Drop saved responses that have outlived their TTL
+    ResponseCache.prune();
+    AuditLog.prune();
 
-    // Check NewBook authentication status
+    // Check NewBook authentication status (the background follows changes after this)
     const isAuthenticated = await AuthManager.updateAuthState();
 
     // Only load tabs if authenticated
@@ -5035,17 +7413,42 @@ async function init() {
       // Initialize group management modal
       initializeGroupModal();
 
+      // Initialize Ctrl+K command palette
+      CommandPalette.init();
+
+      // Initialize booking search box
+      BookingSearch.init();
+
+      // Initialize property profile switcher
+      ProfileSwitcher.init();
+
+      // Initialize back/forward navigation
+      NavigationHistory.init();
+
+      // Load recent actions for undo
+      ActionLog.init();
+
       // Load summary tab on startup
       loadSummaryTab();
 
       // Silently preload staying tab with today's date to populate badge
       loadStayingTabSilently();
 
-      // Check if there's a current booking from storage
-      const result = await chrome.storage.local.get('currentBookingId');
-      if (result.currentBookingId) {
-        STATE.currentBookingId = result.currentBookingId;
+      // Check if there's a current booking for this window from storage
+      const key = windowBookingKey();
+      const result = key ? await chrome.storage.session.get(key) : {};
+      if (result[key]) {
+        STATE.currentBookingId = result[key];
       }
+
+      // Opened from a button on the booking page strip
+      const requestedTab = await takeRequestedTab();
+      if (requestedTab) {
+        switchTab(requestedTab);
+      }
+
+      // Restore pinned bookings for this browser session
+      await PinnedBookings.init();
     }
   }
 }
@@ -5086,9 +7489,7 @@ window.reloadRestaurantTab = function() {
 // Notify background when sidepanel is closing
 window.addEventListener('pagehide', () => {
   BMA_LOG.log('Sidepanel closing, notifying background');
-  chrome.runtime.sendMessage({ action: 'sidepanelClosed' }).catch(() => {
-    // Background might not be available during unload
-  });
+  MessageBus.send('sidepanelClosed', {}, { windowId: STATE.windowId });
 });
 
 // Start the app